@@ -0,0 +1,220 @@
+// Collection Manifests
+// A collection's manifest is the one place its subject ids, names,
+// descriptions and reference images are defined, along with where its
+// generated data lives (schema: lib/collection.schema.json). Generated files
+// (descriptors.json, face-embeddings.json) only record subject ids, and every
+// layer joins on ids - display names are for people, not lookups.
+//
+// lib/collections.json lists the available collections and the default one.
+// The selected collection comes from the URL (?collection=<id>) or the last
+// choice made on this device (localStorage).
+//
+// Shared by the homepage gallery, the scanner and the generators (utils/).
+// Runs in windows and workers (selection: windows only).
+
+(function (root) {
+    'use strict';
+
+    const VERSION = 1;
+    const SLUG = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+    const REGISTRY_PATH = 'lib/collections.json';
+    const STORAGE_KEY = 'artscan.collection';
+    const URL_PARAM = 'collection';
+
+    // Catalog promises by manifest URL (each manifest is fetched once)
+    const loaded = new Map();
+
+    const Collection = {
+        VERSION,
+        URL_PARAM,
+
+        // Available collections: { default, collections: [{ id, name, manifest }] }
+        // baseUrl: site root the registry and manifest paths are relative to
+        async registry(baseUrl) {
+            const url = new URL(REGISTRY_PATH, baseUrl).href;
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} loading ${url}`);
+            }
+            const registry = await response.json();
+
+            const ids = (registry.collections || []).map((entry) => entry.id);
+            if (ids.length === 0 || !ids.includes(registry.default)) {
+                throw new Error(`Invalid collection registry: default "${registry.default}" is not listed`);
+            }
+            return registry;
+        },
+
+        // Collection id chosen in the URL or remembered on this device
+        // (null = the registry's default)
+        selectedId() {
+            const fromUrl = new URLSearchParams(root.location.search).get(URL_PARAM);
+            if (fromUrl) return fromUrl;
+            try {
+                return localStorage.getItem(STORAGE_KEY);
+            } catch (error) {
+                return null;
+            }
+        },
+
+        // Remember a collection choice on this device
+        select(id) {
+            try {
+                localStorage.setItem(STORAGE_KEY, id);
+            } catch (error) {
+                // Private browsing / storage full: the choice just is not remembered
+                console.warn('[Collection] Could not store selection:', error.message);
+            }
+        },
+
+        // Catalog of the selected collection (see selectedId); unknown ids fall
+        // back to the registry's default. The choice is remembered, so a
+        // collection picked in the URL stays selected on other pages.
+        async loadSelected(baseUrl) {
+            const registry = await Collection.registry(baseUrl);
+            const selected = Collection.selectedId();
+            let entry = registry.collections.find((candidate) => candidate.id === selected);
+            if (!entry) {
+                if (selected) console.warn(`[Collection] Unknown collection "${selected}", using "${registry.default}"`);
+                entry = registry.collections.find((candidate) => candidate.id === registry.default);
+            }
+            if (selected) Collection.select(entry.id);
+
+            const url = new URL(entry.manifest, baseUrl).href;
+            if (!loaded.has(url)) {
+                const loading = Collection.load(url).then((catalog) => {
+                    if (catalog.id !== entry.id) {
+                        throw new Error(`Manifest ${entry.manifest} is for "${catalog.id}", not "${entry.id}"`);
+                    }
+                    return catalog;
+                });
+                // Failed loads are retried on the next call
+                loading.catch(() => loaded.delete(url));
+                loaded.set(url, loading);
+            }
+            return loaded.get(url);
+        },
+
+        // Fetch and validate a manifest; resolves to a catalog (see create)
+        async load(url) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} loading ${url}`);
+            }
+            return Collection.create(await response.json());
+        },
+
+        // Validated catalog over a manifest:
+        // { id, name, data, subjects, get(id), byKey(key), byFilename(filename) }
+        // data: paths of the generated files, relative to the site root
+        // ({ descriptors, orbIndex, faceEmbeddings, calibration, train }; null = none)
+        create(manifest) {
+            Collection.validate(manifest);
+
+            const byId = new Map(manifest.subjects.map((subject) => [subject.id, subject]));
+            const byKey = new Map(manifest.subjects.map((subject) => [subject.key, subject]));
+
+            return {
+                id: manifest.id,
+                name: manifest.name,
+                data: {
+                    orbIndex: null,
+                    faceEmbeddings: null,
+                    calibration: null,
+                    train: null,
+                    ...manifest.data,
+                },
+                subjects: manifest.subjects,
+                // Subject by id (null when unknown)
+                get(id) {
+                    return byId.get(Number(id)) || null;
+                },
+                // Subject by image file key (null when unknown)
+                byKey(key) {
+                    return byKey.get(key) || null;
+                },
+                // Subject an image file belongs to (see keyFromFilename)
+                byFilename(filename) {
+                    return byKey.get(Collection.keyFromFilename(filename)) || null;
+                },
+            };
+        },
+
+        // Throws an Error listing every problem with a manifest
+        // (the checks of lib/collection.schema.json, plus unique ids and keys)
+        validate(manifest) {
+            const problems = [];
+
+            if (!manifest || typeof manifest !== 'object') {
+                throw new Error('Invalid collection manifest: not an object');
+            }
+            if (manifest.version !== VERSION) {
+                problems.push(`unsupported version ${manifest.version} (expected ${VERSION})`);
+            }
+            if (typeof manifest.id !== 'string' || !SLUG.test(manifest.id)) {
+                problems.push(`collection id must be a lowercase slug (got ${JSON.stringify(manifest.id)})`);
+            }
+            if (typeof manifest.name !== 'string' || manifest.name === '') {
+                problems.push('collection name is missing');
+            }
+            if (!manifest.data || typeof manifest.data.descriptors !== 'string') {
+                problems.push('data.descriptors is missing');
+            } else {
+                for (const [name, path] of Object.entries(manifest.data)) {
+                    if (path !== null && typeof path !== 'string') {
+                        problems.push(`data.${name} must be a path or null`);
+                    }
+                }
+            }
+            if (!Array.isArray(manifest.subjects) || manifest.subjects.length === 0) {
+                problems.push('no subjects');
+            } else {
+                const ids = new Set();
+                const keys = new Set();
+
+                manifest.subjects.forEach((subject, i) => {
+                    const where = `subjects[${i}]`;
+                    if (!Number.isInteger(subject.id) || subject.id < 1) {
+                        problems.push(`${where}: id must be a positive integer`);
+                    } else if (ids.has(subject.id)) {
+                        problems.push(`${where}: duplicate id ${subject.id}`);
+                    }
+                    ids.add(subject.id);
+
+                    if (typeof subject.key !== 'string' || !SLUG.test(subject.key)) {
+                        problems.push(`${where}: key must be a lowercase slug`);
+                    } else if (keys.has(subject.key)) {
+                        problems.push(`${where}: duplicate key "${subject.key}"`);
+                    }
+                    keys.add(subject.key);
+
+                    if (typeof subject.name !== 'string' || subject.name === '') {
+                        problems.push(`${where}: name is missing`);
+                    }
+                    if (typeof subject.image !== 'string' || subject.image === '') {
+                        problems.push(`${where}: image is missing`);
+                    }
+                    if (subject.description !== undefined && typeof subject.description !== 'string') {
+                        problems.push(`${where}: description must be a string`);
+                    }
+                });
+            }
+
+            if (problems.length > 0) {
+                throw new Error(`Invalid collection manifest: ${problems.join('; ')}`);
+            }
+            return manifest;
+        },
+
+        // Subject key of an image file name
+        // e.g. "emma-smith.jpg" or "emma-smith_jpg.rf.abc123.jpg" (augmented) -> "emma-smith"
+        keyFromFilename(filename) {
+            const name = filename.split('/').pop();
+            return name.replace(/_jpg\.rf\..*\.jpg$/, '').replace(/\.jpg$/, '');
+        },
+    };
+
+    // Expose the collection loader globally (window or worker scope)
+    root.Collection = Collection;
+})(self);
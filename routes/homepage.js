@@ -1,14 +1,19 @@
-// Landing Page - Load and display Relief Society Presidents
+// Landing Page - Load and display the selected collection
 
 let presidents = [];
 let displayedCount = 12;
 const loadMoreIncrement = 12;
 
-// Load presidents from JSON
+// Load presidents from the selected collection's manifest (see routes/collection.js)
 async function loadGalleryArtworks() {
     try {
-        const response = await fetch("lib/descriptors.json");
-        presidents = await response.json();
+        const collection = await Collection.loadSelected(document.baseURI);
+        presidents = collection.subjects;
+        displayedCount = loadMoreIncrement;
+
+        const title = document.getElementById("collection-title");
+        if (title) title.textContent = collection.name;
+        await loadCollectionPicker(collection.id);
 
         // Display initial presidents
         displayGalleryArtworks();
@@ -17,6 +22,36 @@ async function loadGalleryArtworks() {
     }
 }
 
+// Collection picker: only shown when there is more than one collection
+async function loadCollectionPicker(selectedId) {
+    const picker = document.getElementById("collection-picker");
+    const select = document.getElementById("collection-select");
+    if (!picker || !select) return;
+
+    try {
+        const registry = await Collection.registry(document.baseURI);
+        select.innerHTML = registry.collections
+            .map((entry) => `<option value="${entry.id}">${entry.name}</option>`)
+            .join("");
+        select.value = selectedId;
+        picker.style.display = registry.collections.length > 1 ? "flex" : "none";
+    } catch (error) {
+        // The gallery still works with the selected collection alone
+        console.error("Error loading collections:", error);
+        picker.style.display = "none";
+    }
+}
+
+// Switch collections: remembered for the scanner, and kept in the URL so the
+// gallery can be linked to
+function selectCollection(id) {
+    Collection.select(id);
+    const url = new URL(window.location.href);
+    url.searchParams.set(Collection.URL_PARAM, id);
+    window.history.replaceState(window.history.state, "", url.pathname + url.search);
+    loadGalleryArtworks();
+}
+
 // Display presidents in grid
 function displayGalleryArtworks() {
     const grid = document.getElementById("artwork-grid");
@@ -26,12 +61,12 @@ function displayGalleryArtworks() {
         .map(
             (president) => `
         <div class="artwork-card">
-            <a href="${president.url}" target="_blank">
-                <img src="${president.url}" alt="${president.name}">
+            <a href="${president.image}" target="_blank">
+                <img src="${president.image}" alt="${president.name}">
             </a>
             <div class="artwork-info">
                 <h3>${president.name}</h3>
-                <p class="artist">${president.description}</p>
+                <p class="artist">${president.description || ""}</p>
             </div>
         </div>
     `
@@ -64,6 +99,11 @@ window.initGalleryPage = function() {
         });
     }
 
+    const collectionSelect = document.getElementById("collection-select");
+    if (collectionSelect) {
+        collectionSelect.addEventListener("change", (e) => selectCollection(e.target.value));
+    }
+
     // Load artworks
     loadGalleryArtworks();
 };
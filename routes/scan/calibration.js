@@ -0,0 +1,161 @@
+// Score Calibration
+// Maps raw recognizer scores (face distance, ORB inliers) to match probabilities.
+// Models are logistic curves fitted on labeled /train images by
+// utils/generate-calibration.html and shipped per collection (lib/calibration.json).
+
+(function (window) {
+    'use strict';
+
+    // Hand-tuned curves used until a fitted calibration file is loaded
+    // p = 1 / (1 + exp(-slope * (score - midpoint)))
+    const DEFAULT_MODELS = {
+        // Score is 1 - face distance: p = 0.5 at distance 0.6 (FaceMatcher's
+        // acceptance threshold), ~0.9 at 0.49
+        'face-recognition': { midpoint: 0.4, slope: 20, fitted: false },
+        // Score is the inlier count: p = 0.5 at 20 inliers, ~0.9 at 30
+        'orb-matching': { midpoint: 20, slope: 0.22, fitted: false },
+    };
+
+    let models = { ...DEFAULT_MODELS };
+    let source = 'defaults';
+
+    const Calibration = {
+        // Load fitted models; recognizers missing from the file keep their defaults
+        async load(url) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} loading ${url}`);
+            }
+
+            const data = await response.json();
+            for (const [id, model] of Object.entries(data.models || {})) {
+                if (!Number.isFinite(model.midpoint) || !Number.isFinite(model.slope)) {
+                    console.warn(`[Calibration] Ignoring invalid model for ${id}`);
+                    continue;
+                }
+                models[id] = { ...model, fitted: true };
+            }
+            source = url;
+
+            console.log(`[Calibration] Loaded ${Object.keys(data.models || {}).length} models (${data.generated})`);
+            return data;
+        },
+
+        // Back to the hand-tuned curves (before loading another collection's file)
+        reset() {
+            models = { ...DEFAULT_MODELS };
+            source = 'defaults';
+        },
+
+        // Match probability (0-1) for a raw score from the given recognizer
+        probability(recognizerId, score) {
+            const model = models[recognizerId];
+            if (!model) {
+                console.warn(`[Calibration] No model for ${recognizerId}`);
+                return 0;
+            }
+            return sigmoid(model.slope * (score - model.midpoint));
+        },
+
+        // Current models and where they came from (for diagnostics)
+        describe() {
+            return { source, models: { ...models } };
+        },
+
+        // Fit a logistic model to labeled scores
+        // samples: [{ score, correct }] - correct = the candidate was the true president
+        // Returns { midpoint, slope, samples: {positive, negative}, logLoss, brier }
+        fitLogistic(samples, options = {}) {
+            const l2 = options.l2 ?? 1; // Keeps the slope finite when classes separate
+            const iterations = options.iterations ?? 100;
+
+            const positive = samples.filter((s) => s.correct).length;
+            const negative = samples.length - positive;
+            if (positive === 0 || negative === 0) {
+                throw new Error(
+                    `Need correct and incorrect samples to fit (got ${positive} / ${negative})`
+                );
+            }
+
+            // Fit on standardized scores for numerical stability
+            const mean = samples.reduce((sum, s) => sum + s.score, 0) / samples.length;
+            const std =
+                Math.sqrt(
+                    samples.reduce((sum, s) => sum + (s.score - mean) ** 2, 0) /
+                        samples.length
+                ) || 1;
+
+            // Newton's method (IRLS) on intercept w0 and slope w1
+            let w0 = 0;
+            let w1 = 0;
+            for (let iter = 0; iter < iterations; iter++) {
+                // Gradient and Hessian of the penalized log loss
+                let g0 = 0;
+                let g1 = l2 * w1;
+                let h00 = 0;
+                let h01 = 0;
+                let h11 = l2;
+
+                for (const s of samples) {
+                    const z = (s.score - mean) / std;
+                    const p = sigmoid(w0 + w1 * z);
+                    const r = p - (s.correct ? 1 : 0);
+                    const w = Math.max(p * (1 - p), 1e-9);
+                    g0 += r;
+                    g1 += r * z;
+                    h00 += w;
+                    h01 += w * z;
+                    h11 += w * z * z;
+                }
+
+                const det = h00 * h11 - h01 * h01;
+                if (Math.abs(det) < 1e-12) break;
+
+                const step0 = (h11 * g0 - h01 * g1) / det;
+                const step1 = (h00 * g1 - h01 * g0) / det;
+                w0 -= step0;
+                w1 -= step1;
+
+                if (Math.abs(step0) + Math.abs(step1) < 1e-8) break;
+            }
+
+            if (w1 <= 0) {
+                throw new Error('Higher scores are not more likely to be correct; cannot calibrate');
+            }
+
+            const slope = w1 / std;
+            const midpoint = mean - (w0 * std) / w1;
+
+            // Fit quality on the training samples
+            let logLoss = 0;
+            let brier = 0;
+            for (const s of samples) {
+                const p = Math.min(Math.max(sigmoid(slope * (s.score - midpoint)), 1e-6), 1 - 1e-6);
+                const y = s.correct ? 1 : 0;
+                logLoss -= y * Math.log(p) + (1 - y) * Math.log(1 - p);
+                brier += (p - y) ** 2;
+            }
+
+            return {
+                midpoint: round(midpoint),
+                slope: round(slope),
+                samples: { positive, negative },
+                logLoss: round(logLoss / samples.length),
+                brier: round(brier / samples.length),
+            };
+        },
+    };
+
+    function sigmoid(x) {
+        return 1 / (1 + Math.exp(-x));
+    }
+
+    function round(value) {
+        return Math.round(value * 1e4) / 1e4;
+    }
+
+    // Expose calibration globally
+    window.Calibration = Calibration;
+
+    console.log('[Calibration] Module loaded');
+})(window);
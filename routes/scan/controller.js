@@ -1,61 +1,228 @@
-const mobileConfidence = 0.3;
-const desktopConfidence = 0.5;
-
 const isMobile =
     /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
         navigator.userAgent
     );
 console.log("[Device] Mobile detected:", isMobile);
 
+// Speed-dependent settings (scan cadence, ORB keypoints, resize targets,
+// detector confidence) come from the measured performance tier, not isMobile
+PerformanceTier.init();
+let performanceSettings = PerformanceTier.current();
+
 // Performance mode info
-if (isMobile) {
-    console.log(
-        "%c⚡ Mobile Performance Mode Active",
-        "color: #FF9800; font-weight: bold; font-size: 14px;"
-    );
-    console.log("%c• 7 frames per scan (vs 5 desktop)", "color: #FF9800;");
-    console.log(
-        "%c• 300ms scan interval (vs 600ms desktop)",
-        "color: #FF9800;"
-    );
-    console.log("%c• 50ms frame delay (vs 250ms desktop)", "color: #FF9800;");
-    console.log("%c• 1920x1080 video (Full HD)", "color: #FF9800;");
-    console.log(
-        "%c• 960x720 face recognition (vs 640x480 desktop)",
-        "color: #FF9800;"
-    );
-    console.log(
-        "%c• 1920x1080 ORB matching (vs 1280x720 desktop)",
-        "color: #FF9800;"
-    );
-    console.log("%c• 1000 ORB keypoints (vs 500 desktop)", "color: #FF9800;");
-    console.log(
-        "%c• Aggressive face detection (0.4 confidence)",
-        "color: #FF9800;"
-    );
-    console.log("%c• WebGL GPU acceleration enabled", "color: #FF9800;");
-}
+console.log(
+    `%c⚡ Performance tier: ${performanceSettings.name}`,
+    "color: #FF9800; font-weight: bold; font-size: 14px;"
+);
+console.log(
+    `%c• ${performanceSettings.numFrames} frames per scan, ${performanceSettings.scanInterval}ms scan interval, ${performanceSettings.frameDelay}ms frame delay`,
+    "color: #FF9800;"
+);
+console.log(
+    `%c• ${performanceSettings.faceResize.width}x${performanceSettings.faceResize.height} face recognition, ${performanceSettings.orbResize.width}x${performanceSettings.orbResize.height} ORB matching`,
+    "color: #FF9800;"
+);
+console.log(
+    `%c• ${performanceSettings.orbFeatures} ORB keypoints, ${performanceSettings.detectorConfidence} face detection confidence`,
+    "color: #FF9800;"
+);
 
-let cv = null;
 let stream = null;
-let referenceData = [];
-let artworks = [];
+let referenceData = []; // Reference metadata reported by the OpenCV worker
+let collection = null; // Selected collection's catalog (see loadCollection)
 
 // Face-API state
 let faceApiReady = false;
 let faceMatcher = null;
 let faceEmbeddingsData = null;
 
-// Auto-scan state (mobile-adaptive)
+// Auto-scan state (adapts to the performance tier)
 let scanningActive = false;
-let scanHistory = []; // Sliding window of recent scan attempts
+let scanSession = null; // Cancellable scan in progress: { controller, mode, startTime } (see beginScanSession)
+let evidenceAccumulator = null; // Sequential evidence across attempts (single-portrait mode)
 const AUTO_SCAN_CONFIG = {
     ENABLED: true,
-    SCAN_INTERVAL: isMobile ? 300 : 600, // Aggressive scanning on mobile (GPU-accelerated)
-    HISTORY_SIZE: 3, // Remember last 3 attempts
-    REQUIRE_CONSISTENCY: true, // Require same president in 2/3 attempts
-    NUM_FRAMES: isMobile ? 7 : 5, // More frames on mobile for better accuracy
-    FRAME_DELAY: isMobile ? 50 : 250, // Fast frame capture on mobile (GPU handles it)
+    SCAN_INTERVAL: performanceSettings.scanInterval, // ms from one attempt's start to the next; faster tiers scan more often
+    NUM_FRAMES: performanceSettings.numFrames, // Frames per attempt (an attempt can end early)
+    FRAME_DELAY: performanceSettings.frameDelay, // ms between frames
+    PIPELINE_DEPTH: 2, // Frames recognized concurrently (capture overlaps worker matching)
+};
+
+// Single-portrait auto-scan decides sequentially: frames add evidence until one
+// president is likely enough (see routes/scan/evidence-accumulator.js)
+const SEQUENTIAL_CONFIG = {
+    ERROR_RATE: 0.02, // Decide once the leader's posterior reaches 98%
+    MIN_FRAMES: 2, // Never decide on a single frame
+    MAX_FRAMES: 20, // Give up (inconclusive) after this many recognized frames
+    MIN_EVIDENCE_FRAMES: 2, // Fewer identified frames than this: start over silently
+    HYSTERESIS: 1.0, // Log-odds a challenger must lead by to become the leader
+    MAX_LEADER_CHANGES: 3, // Give up early when the leader keeps flipping
+    TRACKED_WEIGHT: 0.3, // Evidence weight of frames that reuse a tracked identity
+};
+
+// Frame quality gate: frames failing these checks are dropped before recognition
+// (see routes/scan/frame-quality.js for what each metric measures)
+const FRAME_QUALITY_CONFIG = {
+    ENABLED: true,
+    THRESHOLDS: {
+        analysisSize: 320,
+        minSharpness: isMobile ? 40 : 50, // Lower on mobile: frames are larger and softer
+        maxGlareRatio: 0.05,
+        minBrightness: 35,
+        maxBrightness: 210,
+        maxClippedRatio: 0.5,
+    },
+    // Guidance shown for the most important rejection reason
+    GUIDANCE: {
+        too_dark: "🌑 Too dark - find more light",
+        too_bright: "☀️ Too bright - move out of direct light",
+        glare: "✨ Glare detected - tilt to avoid reflections",
+        blurry: "🤚 Blurry - hold the camera still",
+    },
+};
+
+// Layer 2 matching: Lowe's ratio test followed by RANSAC homography verification
+const ORB_MATCH_CONFIG = {
+    RATIO_TEST: 0.75, // Lowe's ratio between best and second-best match
+    MIN_GOOD_MATCHES: 8, // Ratio-test survivors needed before estimating a homography
+    RANSAC_REPROJ_THRESHOLD: 5.0, // Max reprojection error (px) for a match to count as inlier
+    MIN_INLIERS: 20, // Geometrically verified matches required for a Layer 2 match
+    SHORTLIST_SIZE: 5, // References matched in full after the descriptor index lookup
+    INDEX_MAX_DISTANCE: 64, // Max Hamming distance (bits) for an index vote
+    INDEX_MIN_REFERENCES: 50, // Smaller catalogs are matched in full (any index file is ignored)
+};
+
+// Layer 0: a global signature (perceptual hash + color histogram, see
+// routes/scan/global-signature.js) of the rectified crop or the frame's center
+// shortlists the catalog before ORB matching. Only worth it for large catalogs.
+const PREFILTER_CONFIG = {
+    ENABLED: true,
+    MIN_REFERENCES: 50, // Catalog entries with a signature before the prefilter runs
+    SHORTLIST_SIZE: 10, // References passed on to Layer 2
+    CENTER_CROP: 0.6, // Share of the frame used when no painting outline was found
+    SIGNATURE_SIZE: 128, // px, longest side the crop is downscaled to before hashing
+    HASH_WEIGHT: 0.6, // Perceptual hash vs. color histogram in the distance
+};
+
+// Multi-scale search: when the whole (unrectified) frame yields nothing, run
+// the layers on zoomed-in regions of the full-resolution capture, most salient
+// first (see routes/scan/multi-scale.js), for small or distant portraits
+const MULTI_SCALE_CONFIG = {
+    ENABLED: true,
+    TIME_BUDGET: performanceSettings.targetLatency, // ms per frame for zoomed passes (tier's frame target)
+    ZOOM_LEVELS: [0.6, 0.4], // Region side as a share of the frame side
+    OVERLAP: 0.25, // Share of a region shared with its neighbour
+    MAX_REGIONS: 6, // Most salient regions tried per frame
+};
+
+// Illumination normalization (gray-world, gamma, CLAHE - see
+// routes/scan/illumination.js). Frames get the stages the reference files were
+// generated with (descriptors.json entries, face-embeddings.json), so both
+// sides are preprocessed the same way.
+const ILLUMINATION_CONFIG = {
+    ENABLED: true, // false: skip it at scan time (to measure its effect)
+    OVERRIDE: null, // Stages to use instead of the recorded ones, e.g. { grayWorld: true, clahe: {} }
+};
+
+// Preprocessing: find the painting (or its frame) and warp it fronto-parallel
+// before recognition; frames without a plausible quad are used as captured
+const RECTIFY_CONFIG = {
+    ENABLED: true,
+    DETECT_SIZE: 480, // Longest side (px) of the image searched for the quad
+    MIN_AREA_RATIO: 0.15, // Quad must cover at least this share of the frame...
+    MAX_AREA_RATIO: 0.98, // ...and less than this (not the frame border itself)
+    APPROX_EPSILON: 0.02, // Polygon approximation tolerance (fraction of perimeter)
+    MAX_OUTPUT_SIZE: performanceSettings.rectifyMaxOutput, // Longest side (px) of the rectified crop
+};
+
+// Runtime tier changes (measured frame latency) retune the scanner in place;
+// the running scan loop picks the new values up on its next frame
+PerformanceTier.onChange((settings, previous) => {
+    performanceSettings = settings;
+    AUTO_SCAN_CONFIG.SCAN_INTERVAL = settings.scanInterval;
+    AUTO_SCAN_CONFIG.NUM_FRAMES = settings.numFrames;
+    AUTO_SCAN_CONFIG.FRAME_DELAY = settings.frameDelay;
+    RECTIFY_CONFIG.MAX_OUTPUT_SIZE = settings.rectifyMaxOutput;
+    MULTI_SCALE_CONFIG.TIME_BUDGET = settings.targetLatency;
+
+    DiagnosticLogger.log("performance_tier_changed", {
+        from: previous,
+        to: settings.name,
+        ...PerformanceTier.describe(),
+    });
+});
+
+// Layer 1 face detector: "ssd" (SSD MobileNet v1, most accurate), "tiny"
+// (Tiny Face Detector, fastest) or "mtcnn". Only the selected detector's
+// weights are loaded. A null confidence uses the performance tier's value.
+const FACE_DETECTOR_CONFIG = {
+    TYPE: "ssd",
+    SSD: {
+        MIN_CONFIDENCE: null,
+    },
+    TINY: {
+        INPUT_SIZE: 416, // Multiple of 32; smaller is faster but misses small faces
+        SCORE_THRESHOLD: null,
+    },
+    MTCNN: {
+        MIN_FACE_SIZE: 40, // px, smallest face searched for (larger is faster)
+        SCALE_FACTOR: 0.709, // Image pyramid step
+        SCORE_THRESHOLDS: [0.6, 0.7, 0.7], // Per cascade stage (P-Net, R-Net, O-Net)
+    },
+};
+
+// face-api.js weights per detector type
+const FACE_DETECTOR_NETS = {
+    ssd: "ssdMobilenetv1",
+    tiny: "tinyFaceDetector",
+    mtcnn: "mtcnn",
+};
+
+// Multi-subject mode: identify every portrait in the frame (group paintings,
+// gallery walls) and track each face across frames
+let multiSubjectMode = false;
+let subjectTracker = null;
+const MULTI_SUBJECT_CONFIG = {
+    RECOGNIZER: "face-recognition", // Must implement recognizeAll
+    MAX_FACES: 10, // Faces detected per frame
+    MIN_IOU: 0.3, // Box overlap to keep following the same face between frames
+    MAX_MISSES: 3, // Frames a face may go undetected before its track is dropped
+    MIN_HITS: 3, // Identified frames before a face's identity is confirmed
+    MIN_CONSENSUS: 0.6, // Share of those frames that must agree on the identity
+    MAX_ATTEMPTS: 4, // Scan attempts before showing whatever is confirmed
+};
+
+// Single-portrait face tracking: once a face is identified, later frames only
+// detect it in a region around its last box (Tiny Face Detector) and reuse the
+// identity until tracking confidence drops (see routes/scan/face-tracker.js)
+// Each camera scan session gets its own tracker (see beginScanSession); boxes
+// are in full-frame coordinates, so rectified crops and zoomed regions are
+// never tracked
+const FACE_TRACKING_CONFIG = {
+    ENABLED: true,
+    ROI_MARGIN: 0.5, // Search region = last box grown by this share per side
+    ROI_INPUT_SIZE: 224, // Tiny Face Detector input size (multiple of 32)
+    ROI_SCORE_THRESHOLD: 0.4, // Min detection score inside the search region
+    MIN_CONFIDENCE: 0.25, // Tracking confidence below which the track is dropped
+    REIDENTIFY_CONFIDENCE: 0.5, // ...below which the face is identified again
+    REIDENTIFY_FRAMES: 5, // Identify again after this many reused frames
+};
+
+function createSessionFaceTracker() {
+    return createFaceTracker({
+        roiMargin: FACE_TRACKING_CONFIG.ROI_MARGIN,
+        minConfidence: FACE_TRACKING_CONFIG.MIN_CONFIDENCE,
+        reidentifyConfidence: FACE_TRACKING_CONFIG.REIDENTIFY_CONFIDENCE,
+        reidentifyFrames: FACE_TRACKING_CONFIG.REIDENTIFY_FRAMES,
+    });
+}
+
+// WASM heap diagnostics: the OpenCV worker's heap size and live object count
+// are logged as "wasm_heap" at this interval, when it has handled frames since
+// the last sample (the heap never shrinks - steady growth means a leak)
+const HEAP_LOG_CONFIG = {
+    ENABLED: true,
+    INTERVAL: 30000, // ms
 };
 
 // ============================================================================
@@ -75,6 +242,8 @@ const DiagnosticLogger = {
             sessionId: this.sessionId,
             userAgent: navigator.userAgent,
             isMobile: isMobile,
+            performanceTier: PerformanceTier.describe(),
+            faceDetector: FACE_DETECTOR_CONFIG.TYPE,
             screen: {
                 width: window.screen.width,
                 height: window.screen.height,
@@ -274,23 +443,15 @@ function logPerformance(label, startTime) {
 }
 
 // Smart image downscaling for optimal recognition performance
-// Mobile: Higher resolution for better accuracy (GPU-accelerated)
-// Desktop: Conservative resolution for broader compatibility
+// Targets come from the performance tier: faster devices keep more pixels
 function resizeForRecognition(sourceCanvas, layer = 1) {
     const startTime = Date.now();
 
-    // Layer 1 (face-api.js): Mobile uses higher res (960x720), Desktop conservative (640x480)
-    // Layer 2 (ORB): Mobile uses Full HD (1920x1080), Desktop standard (1280x720)
-    const maxWidth =
-        layer === 1
-            ? isMobile
-                ? 960
-                : 640 // Layer 1: 2.25x more pixels on mobile
-            : isMobile
-            ? 1920
-            : 1280; // Layer 2: Full HD on mobile
-    const maxHeight =
-        layer === 1 ? (isMobile ? 720 : 480) : isMobile ? 1080 : 720;
+    // Layer 1 (face-api.js) needs far fewer pixels than Layer 2 (ORB)
+    const target =
+        layer === 1 ? performanceSettings.faceResize : performanceSettings.orbResize;
+    const maxWidth = target.width;
+    const maxHeight = target.height;
 
     const width = sourceCanvas.width;
     const height = sourceCanvas.height;
@@ -329,24 +490,446 @@ function resizeForRecognition(sourceCanvas, layer = 1) {
     return resizedCanvas;
 }
 
-// Track OpenCV ready state
+// Layer 0 prefilter: rank the catalog by global signature distance
+// rectified: the canvas is the painting crop (else only its center is used)
+// Returns { ids, ... } - the shortlisted reference ids plus every reference
+// without a signature - or null when the prefilter does not apply
+function prefilterCatalog(canvas, rectified) {
+    if (!PREFILTER_CONFIG.ENABLED) return null;
+
+    const signed = referenceData.filter((ref) => ref.signature);
+    if (signed.length < PREFILTER_CONFIG.MIN_REFERENCES) return null;
+
+    const startTime = Date.now();
+
+    // Downscaled crop: the painting, or the center of the frame
+    const share = rectified ? 1 : PREFILTER_CONFIG.CENTER_CROP;
+    const cropWidth = canvas.width * share;
+    const cropHeight = canvas.height * share;
+    const scale = Math.min(1, PREFILTER_CONFIG.SIGNATURE_SIZE / Math.max(cropWidth, cropHeight));
+    const crop = document.createElement("canvas");
+    crop.width = Math.max(1, Math.round(cropWidth * scale));
+    crop.height = Math.max(1, Math.round(cropHeight * scale));
+    const ctx = crop.getContext("2d");
+    ctx.drawImage(
+        canvas,
+        (canvas.width - cropWidth) / 2,
+        (canvas.height - cropHeight) / 2,
+        cropWidth,
+        cropHeight,
+        0,
+        0,
+        crop.width,
+        crop.height
+    );
+
+    const signature = GlobalSignature.compute(ctx.getImageData(0, 0, crop.width, crop.height));
+    // One entry per subject: training sets hold several references each
+    const seen = new Set();
+    const ranked = GlobalSignature.rank(signature, signed, PREFILTER_CONFIG.HASH_WEIGHT)
+        .filter((entry) => !seen.has(entry.id) && seen.add(entry.id))
+        .slice(0, PREFILTER_CONFIG.SHORTLIST_SIZE);
+    const unsigned = referenceData.filter((ref) => !ref.signature).map((ref) => ref.id);
+    const duration = Date.now() - startTime;
+
+    DiagnosticLogger.log("prefilter", {
+        catalogSize: referenceData.length,
+        shortlisted: ranked.length,
+        unsigned: unsigned.length,
+        rectified: rectified,
+        top: ranked.slice(0, 3).map((entry) => ({
+            name: subjectCandidate(entry.id).name,
+            distance: Math.round(entry.distance * 1000) / 1000,
+        })),
+        duration: duration,
+    });
+
+    return {ids: ranked.map((entry) => entry.id).concat(unsigned), ranked, duration};
+}
+
+// Rectified crops, one per source canvas so pipelined frames never share one
+const rectifiedCanvases = new WeakMap();
+
+// Find the dominant quadrilateral in the frame and warp it to a fronto-parallel crop
+// Returns { canvas, quad }: the crop and the quad in frame coordinates, or the
+// original canvas and null when rectification is off or no quad was found
+async function rectifyFrame(canvas, signal = null, timing = null) {
+    if (!RECTIFY_CONFIG.ENABLED || !opencvReady) {
+        return {canvas, quad: null};
+    }
+
+    const startTime = Date.now();
+    let result = null;
+
+    try {
+        result = await CvWorker.rectifyFrame(canvas, RECTIFY_CONFIG, signal, timing);
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn("[Rectify] Failed, using full frame:", error);
+    }
+
+    const duration = logPerformance("Rectify", startTime);
+
+    DiagnosticLogger.log("frame_rectification", {
+        found: !!result,
+        quad: result ? result.quad : null,
+        areaRatio: result ? result.areaRatio : null,
+        originalSize: `${canvas.width}x${canvas.height}`,
+        rectifiedSize: result ? `${result.width}x${result.height}` : null,
+        duration: duration,
+    });
+
+    if (!result) {
+        console.log("[Rectify] No painting outline found, using full frame");
+        return {canvas, quad: null};
+    }
+
+    let rectified = rectifiedCanvases.get(canvas);
+    if (!rectified) {
+        rectified = document.createElement("canvas");
+        rectifiedCanvases.set(canvas, rectified);
+    }
+    rectified.width = result.width;
+    rectified.height = result.height;
+    rectified
+        .getContext("2d")
+        .putImageData(
+            new ImageData(
+                new Uint8ClampedArray(result.buffer),
+                result.width,
+                result.height
+            ),
+            0,
+            0
+        );
+
+    console.log(
+        `[Rectify] Painting outline found (${Math.round(
+            result.areaRatio * 100
+        )}% of frame) → ${result.width}x${result.height}`
+    );
+    return {canvas: rectified, quad: result.quad};
+}
+
+// Track OpenCV worker ready state (OpenCV loaded + references deserialized)
 let opencvReady = false;
 
-// Wait for OpenCV.js to load
-function onOpenCvReady() {
-    cv = window.cv;
-    console.log("OpenCV.js loaded:", cv);
-    opencvReady = true;
+// ============================================================================
+// OPENCV WORKER CLIENT
+// ============================================================================
 
-    // Load face-api.js models in parallel
-    loadFaceApi().catch((err) => {
-        console.warn("[Face API] Will use ORB-only mode:", err);
+// Resolved against this script so it works from any route
+const CV_WORKER_URL = new URL("cv-worker.js", document.currentScript.src).href;
+
+// Promise API around cv-worker.js (OpenCV.js, reference descriptors, ORB matching)
+const CvWorker = {
+    worker: null,
+    nextId: 1,
+    pending: new Map(), // Request id → {resolve, reject}
+    supportsImageBitmap: false,
+
+    // Start the worker (it loads OpenCV.js and reports "ready")
+    start() {
+        this.worker = new Worker(CV_WORKER_URL);
+
+        this.worker.onmessage = (e) => {
+            const {id, type, result, error, duration} = e.data;
+
+            if (type === "ready") {
+                this.supportsImageBitmap = e.data.supportsImageBitmap;
+                onOpenCvReady();
+                return;
+            }
+
+            const request = this.pending.get(id);
+            if (!request) return;
+            this.pending.delete(id);
+
+            if (request.timing) {
+                request.timing.queueWait += Math.max(0, Date.now() - request.sentAt - (duration || 0));
+            }
+
+            if (error) request.reject(new Error(error));
+            else request.resolve(result);
+        };
+
+        // Worker failed to load or crashed (e.g. WASM out of memory)
+        this.worker.onerror = (e) => {
+            console.error("[CV Worker] Error:", e.message || e);
+            opencvReady = false;
+            for (const request of this.pending.values()) {
+                request.reject(new Error("OpenCV worker failed"));
+            }
+            this.pending.clear();
+        };
+    },
+
+    // Send a request; resolves with the worker's result
+    // signal: rejects (AbortError) when it fires; the worker finishes the
+    // request but its result is dropped
+    // timing: { queueWait } the time spent waiting behind other requests is added to
+    request(type, payload, transfer = [], signal = null, timing = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createAbortError());
+                return;
+            }
+
+            const id = this.nextId++;
+            const onAbort = () => {
+                if (this.pending.delete(id)) reject(createAbortError());
+            };
+            // Scan sessions send many requests: drop the listener once settled
+            const settle = (callback) => (value) => {
+                if (signal) signal.removeEventListener("abort", onAbort);
+                callback(value);
+            };
+            this.pending.set(id, {
+                resolve: settle(resolve),
+                reject: settle(reject),
+                timing: timing,
+                sentAt: Date.now(),
+            });
+            this.worker.postMessage({id, type, payload}, transfer);
+
+            if (signal) signal.addEventListener("abort", onAbort, {once: true});
+        });
+    },
+
+    // Match a canvas/image against the references (see matchImage in cv-worker.js)
+    // shortlist: reference ids to consider (Layer 0 prefilter), null = all
+    async matchFrame(source, shortlist = null, signal = null, timing = null) {
+        return this.requestWithFrame(
+            "match",
+            source,
+            {
+                features: performanceSettings.orbFeatures,
+                shortlist: shortlist,
+            },
+            signal,
+            timing
+        );
+    },
+
+    // Find the painting in a canvas/image and warp it fronto-parallel
+    // Resolves to { quad, areaRatio, width, height, buffer } or null (see rectify in cv-worker.js)
+    async rectifyFrame(source, config, signal = null, timing = null) {
+        return this.requestWithFrame("rectify", source, {config}, signal, timing);
+    },
+
+    // { heapBytes, passes, references, live, peak, released } (see memory in cv-worker.js)
+    async memoryStats() {
+        return this.request("memory", {});
+    },
+
+    // Send a request carrying a frame's pixels
+    // Pixels are transferred, not copied: an ImageBitmap where the worker can
+    // draw it (OffscreenCanvas), otherwise the raw RGBA buffer
+    async requestWithFrame(type, source, extra = {}, signal = null, timing = null) {
+        if (this.supportsImageBitmap && typeof createImageBitmap === "function") {
+            const bitmap = await createImageBitmap(source);
+            return this.request(type, {...extra, bitmap}, [bitmap], signal, timing);
+        }
+
+        const imageData = getImageData(source);
+        return this.request(
+            type,
+            {
+                ...extra,
+                width: imageData.width,
+                height: imageData.height,
+                buffer: imageData.data.buffer,
+            },
+            [imageData.data.buffer],
+            signal,
+            timing
+        );
+    },
+};
+
+// Read RGBA pixels from a canvas or image element
+function getImageData(source) {
+    let canvas = source;
+    if (!source.getContext) {
+        canvas = document.createElement("canvas");
+        canvas.width = source.width || source.videoWidth;
+        canvas.height = source.height || source.videoHeight;
+        canvas.getContext("2d").drawImage(source, 0, 0);
+    }
+    return canvas
+        .getContext("2d")
+        .getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Sample the worker's WASM heap periodically (see HEAP_LOG_CONFIG)
+let heapLogTimer = null;
+let lastHeapSample = null;
+
+function startHeapLog() {
+    if (!HEAP_LOG_CONFIG.ENABLED || heapLogTimer) return;
+
+    heapLogTimer = setInterval(async () => {
+        try {
+            const stats = await CvWorker.memoryStats();
+            // Idle since the last sample: nothing new to report
+            if (lastHeapSample && stats.passes === lastHeapSample.passes) return;
+
+            DiagnosticLogger.log("wasm_heap", {
+                heapMB: stats.heapBytes !== null ? Math.round(stats.heapBytes / 1048576) : null,
+                growthMB:
+                    lastHeapSample && stats.heapBytes !== null
+                        ? Math.round((stats.heapBytes - lastHeapSample.heapBytes) / 1048576)
+                        : 0,
+                passes: stats.passes,
+                liveObjects: stats.live,
+                peakObjects: stats.peak,
+                releasedObjects: stats.released,
+                references: stats.references,
+            });
+            lastHeapSample = stats;
+        } catch (error) {
+            // Worker gone (see CvWorker.worker.onerror): stop sampling
+            clearInterval(heapLogTimer);
+            heapLogTimer = null;
+        }
+    }, HEAP_LOG_CONFIG.INTERVAL);
+}
+
+// Catalog of the selected collection (see Collection.selectedId): every
+// layer joins on its subject ids, and its data paths say which reference
+// data to load. Becomes the active collection once loaded.
+async function loadCollection() {
+    const loaded = await Collection.loadSelected(document.baseURI);
+    if (loaded !== collection) {
+        collection = loaded;
+        console.log(`✓ Collection: ${loaded.name} (${loaded.subjects.length} subjects)`);
+        DiagnosticLogger.log("collection_loaded", {
+            collection: loaded.id,
+            subjects: loaded.subjects.length,
+            faces: !!loaded.data.faceEmbeddings,
+        });
+    }
+    return loaded;
+}
+
+// URL of one of the active collection's data files (null = not generated)
+function collectionDataUrl(name) {
+    const path = collection.data[name];
+    return path ? new URL(path, document.baseURI).href : null;
+}
+
+// Reference data loaded for each layer (collection ids), so a collection
+// switched on the gallery page is picked up when the scanner is entered again
+const loadedCollections = {references: null, faces: null, calibration: null};
+
+// Reload whatever was loaded for another collection than the selected one
+// Resolves to true when something had to be reloaded
+async function switchCollection() {
+    const selected = await loadCollection();
+    const stale = Object.keys(loadedCollections).filter(
+        (layer) => loadedCollections[layer] !== null && loadedCollections[layer] !== selected.id
+    );
+    if (stale.length === 0) return false;
+
+    console.log(`[Collection] Switching to ${selected.name}: reloading ${stale.join(", ")}`);
+    DiagnosticLogger.log("collection_switched", {
+        collection: selected.id,
+        reloaded: stale,
     });
 
-    // Load pre-computed descriptors
-    console.log("✓ OpenCV.js loaded! Loading artworks...");
+    // Evidence and tracks refer to the previous collection's subjects
+    if (evidenceAccumulator) evidenceAccumulator.reset();
+    if (subjectTracker) subjectTracker.reset();
+    if (scanSession && scanSession.faceTracker) scanSession.faceTracker.reset();
+
+    const reloads = [];
+    if (stale.includes("calibration")) reloads.push(loadCalibration());
+    if (stale.includes("faces")) reloads.push(loadFaceGallery());
+    if (stale.includes("references")) reloads.push(loadReferences());
+    await Promise.all(reloads);
+    return true;
+}
+
+// Result page state tagged with the collection it was identified in
+function withCollection(state) {
+    return {...state, collection: {id: collection.id, name: collection.name}};
+}
+
+// Status line once the reference data is loaded
+function readyMessage() {
+    const subjects = new Set(referenceData.map((ref) => ref.id)).size;
+    return `✓ Ready! ${subjects} ${collection.name} loaded.`;
+}
+
+// Candidate info for a subject id, from the collection manifest
+// fallback: the generated entry's own fields, for ids missing from the manifest
+function subjectCandidate(id, fallback = {}) {
+    const subject = collection ? collection.get(id) : null;
+    if (!subject) {
+        console.warn(`[Collection] Unknown subject id: ${id}`);
+        return {
+            id: id,
+            name: fallback.name || `#${id}`,
+            description: fallback.description || "",
+            url: fallback.url || "",
+        };
+    }
+
+    return {
+        id: subject.id,
+        name: subject.name,
+        description: subject.description || "",
+        url: subject.image,
+    };
+}
+
+// Load the active collection's pre-computed descriptors into the worker
+// ("init" replaces any previously loaded references)
+async function loadReferences() {
+    await loadCollection();
+    const collectionId = collection.id;
+
+    referenceData = [];
+    referenceData = await CvWorker.request("init", {
+        descriptorsUrl: collectionDataUrl("descriptors"),
+        indexUrl: collectionDataUrl("orbIndex"),
+        // Keypoints per frame; later changes travel with each match request
+        features: performanceSettings.orbFeatures,
+        config: ORB_MATCH_CONFIG,
+        illumination: ILLUMINATION_CONFIG,
+    });
+    loadedCollections.references = collectionId;
+
+    const unverified = referenceData.filter((ref) => !ref.verified).length;
+    console.log(
+        `${readyMessage()} (${referenceData.length} references)` +
+            (unverified ? ` (${unverified} without keypoints, unverified)` : "")
+    );
+}
+
+// OpenCV.js loaded inside the worker: load pre-computed descriptors there
+async function onOpenCvReady() {
+    console.log("✓ OpenCV.js loaded in worker! Loading artworks...");
     updateStatus("✓ OpenCV.js loaded! Loading artworks...", "info");
-    loadArtworks();
+
+    try {
+        await loadReferences();
+        opencvReady = true;
+        startHeapLog();
+
+        updateStatus(readyMessage(), "success");
+
+        // Only start camera if we're on scanner route
+        const currentRoute = Router.getCurrentRoute();
+        if (currentRoute && currentRoute.path === '/scan') {
+            setTimeout(() => {
+                requestCameraAccess();
+            }, 500);
+        }
+    } catch (error) {
+        console.error("Error loading descriptors:", error);
+        updateStatus(`✗ Error loading descriptors: ${error.message}`, "error");
+    }
 }
 
 // Load face-api.js models and embeddings
@@ -403,72 +986,97 @@ async function loadFaceApi() {
         console.log("[Face API] Loading models...");
         const modelStartTime = Date.now();
 
-        // Load the 3 required models
-        await faceapi.nets.ssdMobilenetv1.loadFromUri("lib/face-api");
-        await faceapi.nets.faceLandmark68Net.loadFromUri("lib/face-api");
-        await faceapi.nets.faceRecognitionNet.loadFromUri("lib/face-api");
+        // Load only the required models
+        const nets = getRequiredFaceNets();
+        for (const net of nets) {
+            await faceapi.nets[net].loadFromUri("lib/face-api");
+        }
 
         const modelLoadTime = Date.now() - modelStartTime;
-        console.log("[Face API] ✓ Models loaded");
+        console.log(`[Face API] ✓ Models loaded (detector: ${FACE_DETECTOR_CONFIG.TYPE})`);
 
         // Log model loading time
         DiagnosticLogger.log("models_loaded", {
             duration: modelLoadTime,
+            detector: FACE_DETECTOR_CONFIG.TYPE,
+            nets: nets,
         });
 
-        // Load pre-computed embeddings
-        const response = await fetch("lib/face-embeddings.json");
+        faceApiReady = true;
+        await loadFaceGallery();
+    } catch (error) {
+        console.error("[Face API] Failed to load:", error);
+        faceApiReady = false;
+    }
+}
+
+// Load the active collection's face gallery into a FaceMatcher
+// Collections without faces (artwork) have none: the face layer stays off
+async function loadFaceGallery() {
+    try {
+        await loadCollection();
+        const collectionId = collection.id;
+        const embeddingsUrl = collectionDataUrl("faceEmbeddings");
+        faceMatcher = null;
+
+        if (!embeddingsUrl) {
+            loadedCollections.faces = collectionId;
+            console.log(`[Face API] ${collection.name} has no face gallery: ORB only`);
+            return;
+        }
+
+        // Load pre-computed embeddings (gallery entries are joined to the
+        // collection by subject id)
+        const response = await fetch(embeddingsUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${embeddingsUrl}`);
+        }
         faceEmbeddingsData = await response.json();
 
         // Create labeled descriptors for FaceMatcher
-        const labeledDescriptors = faceEmbeddingsData.embeddings.map(
+        // v2 files hold a gallery of samples per president (`descriptors`),
+        // v1 files a single `descriptor`. Each sample gets its own entry so
+        // findBestMatch() scores a president by its nearest sample rather than
+        // the mean over the gallery (which would blur lighting/angle variants).
+        let sampleCount = 0;
+        const labeledDescriptors = faceEmbeddingsData.embeddings.flatMap(
             (president) => {
-                return new faceapi.LabeledFaceDescriptors(president.name, [
-                    new Float32Array(president.descriptor),
-                ]);
+                const samples = president.descriptors || [president.descriptor];
+                sampleCount += samples.length;
+                // Labels are subject ids (face-api.js labels are strings)
+                return samples.map(
+                    (descriptor) =>
+                        new faceapi.LabeledFaceDescriptors(String(president.id), [
+                            new Float32Array(descriptor),
+                        ])
+                );
             }
         );
 
         // Create FaceMatcher with default threshold (0.6)
         faceMatcher = new faceapi.FaceMatcher(labeledDescriptors, 0.6);
+        loadedCollections.faces = collectionId;
 
-        faceApiReady = true;
         console.log(
-            `[Face API] ✓ Ready! ${faceEmbeddingsData.embeddings.length} presidents loaded`
+            `[Face API] ✓ Ready! ${faceEmbeddingsData.embeddings.length} presidents loaded (${sampleCount} face samples, format v${faceEmbeddingsData.version || "1.0"})`
         );
-        console.log(
-            `[Face API] ${faceEmbeddingsData.outliersCount} outliers will use ORB fallback`
-        );
-    } catch (error) {
-        console.error("[Face API] Failed to load:", error);
-        faceApiReady = false;
-    }
-}
 
-// Load pre-computed descriptors from JSON
-async function loadArtworks() {
-    try {
-        const response = await fetch("lib/descriptors.json");
-        artworks = await response.json();
+        DiagnosticLogger.log("face_gallery_loaded", {
+            collection: collectionId,
+            version: faceEmbeddingsData.version || "1.0",
+            presidents: faceEmbeddingsData.embeddings.length,
+            samples: sampleCount,
+            illumination: Illumination.key(getFaceIllumination()),
+        });
         console.log(
-            `✓ Loaded ${artworks.length} pre-computed descriptors from JSON`
-        );
-        updateStatus(
-            `✓ Loaded ${artworks.length} presidents. Deserializing...`,
-            "info"
+            `[Face API] ${faceEmbeddingsData.outliersCount} outliers will use ORB fallback`
         );
-        deserializeDescriptors();
     } catch (error) {
-        console.error("Error loading descriptors:", error);
-        updateStatus(`✗ Error loading descriptors: ${error.message}`, "error");
+        console.error("[Face API] Failed to load face gallery:", error);
+        faceMatcher = null;
     }
 }
 
-// Set up Module for OpenCV initialization
-var Module = {
-    onRuntimeInitialized: onOpenCvReady,
-};
-
 // Update status message (defensive - checks if elements exist)
 function updateStatus(message, type = "info") {
     const statusEl = document.getElementById("status-overlay");
@@ -488,52 +1096,6 @@ function updateStatus(message, type = "info") {
     if (type === "loading") statusEl.classList.add("loading");
 }
 
-// Deserialize pre-computed descriptors (no image processing needed!)
-function deserializeDescriptors() {
-    try {
-        for (const item of artworks) {
-            // Deserialize descriptors from JSON
-            const descriptorObj = item.descriptors;
-            const mat = new cv.Mat(
-                descriptorObj.rows,
-                descriptorObj.cols,
-                descriptorObj.type
-            );
-            mat.data.set(descriptorObj.data);
-
-            referenceData.push({
-                id: item.id,
-                name: item.name,
-                description: item.description,
-                url: item.url,
-                descriptors: mat,
-                keypoints: new cv.KeyPointVector(), // Empty placeholder - not needed for matching
-            });
-
-            console.log(
-                `✓ Deserialized ${item.name}: ${descriptorObj.rows} descriptors`
-            );
-        }
-
-        console.log(`✓ Ready! ${referenceData.length} presidents loaded.`);
-        updateStatus(
-            `✓ Ready! ${referenceData.length} presidents loaded.`,
-            "success"
-        );
-
-        // Only start camera if we're on scanner route
-        const currentRoute = Router.getCurrentRoute();
-        if (currentRoute && currentRoute.path === '/scan') {
-            setTimeout(() => {
-                requestCameraAccess();
-            }, 500);
-        }
-    } catch (error) {
-        console.error("Error deserializing descriptors:", error);
-        updateStatus(`✗ Error: ${error.message}`, "error");
-    }
-}
-
 // Load image element
 function loadImage(src) {
     return new Promise((resolve, reject) => {
@@ -547,294 +1109,874 @@ function loadImage(src) {
     });
 }
 
-// Extract ORB features from an image
-function extractORBFeatures(img) {
-    try {
-        // Create a temporary canvas to avoid CORS issues
-        const tempCanvas = document.createElement("canvas");
-        tempCanvas.width = img.width || img.videoWidth;
-        tempCanvas.height = img.height || img.videoHeight;
-        const ctx = tempCanvas.getContext("2d");
-        ctx.drawImage(img, 0, 0);
-
-        const src = cv.imread(tempCanvas);
-        const gray = new cv.Mat();
-        cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
-
-        // Mobile: 1000 keypoints for maximum accuracy (2x features)
-        // Desktop: 500 keypoints for compatibility
-        const orbFeatures = isMobile ? 1000 : 500;
-        const orb = new cv.ORB(orbFeatures);
-        const keypoints = new cv.KeyPointVector();
-        const descriptors = new cv.Mat();
-
-        orb.detectAndCompute(gray, new cv.Mat(), keypoints, descriptors);
-
-        src.delete();
-        gray.delete();
-        orb.delete();
-
-        return {keypoints, descriptors};
-    } catch (error) {
-        console.error("ORB extraction error:", error);
-        throw error;
-    }
-}
-
-// Match captured image against reference images
-function matchImage(capturedDescriptors) {
-    const matcher = new cv.BFMatcher(cv.NORM_HAMMING, false);
-    let bestMatch = null;
-    let bestScore = 0;
-
-    for (const ref of referenceData) {
-        if (ref.descriptors.empty()) continue;
-
-        const matches = new cv.DMatchVectorVector();
-        matcher.knnMatch(capturedDescriptors, ref.descriptors, matches, 2);
-
-        // Apply Lowe's ratio test
-        let goodMatches = 0;
-        for (let i = 0; i < matches.size(); i++) {
-            const match = matches.get(i);
-            if (match.size() >= 2) {
-                const m1 = match.get(0);
-                const m2 = match.get(1);
-                if (m1.distance < 0.75 * m2.distance) {
-                    goodMatches++;
-                }
-            }
-        }
-
-        matches.delete();
-
-        if (goodMatches > bestScore) {
-            bestScore = goodMatches;
-            bestMatch = {...ref, matches: goodMatches};
-        }
-    }
-
-    matcher.delete();
-    return bestMatch;
-}
-
 // ============================================================================
 // 2-LAYER RECOGNITION SYSTEM
 // ============================================================================
 
-// Main recognition function: Try face-api.js first, fallback to ORB
-async function recognizePresident(canvas) {
+// Recognition pipeline: recognizer ids are tried in order until one accepts.
+// Add or reorder layers here; recognizers are registered below.
+const RECOGNITION_PIPELINE_CONFIG = {
+    LAYERS: ["face-recognition", "orb-matching"],
+    COST_BUDGET: Infinity, // ms per frame; layers estimated to exceed what is left are skipped
+    // Fusion: run every affordable layer and combine their per-candidate
+    // evidence instead of stopping at the first accepted layer
+    FUSION: {
+        ENABLED: false,
+        MIN_PROBABILITY: 0.7, // Fused probability needed to accept the top candidate
+        ALTERNATIVES: 3, // Candidates each layer contributes evidence for
+    },
+};
+
+// Main recognition function: run the configured layers in order
+// Returns the first accepted normalized result (see RecognizerRegistry.run),
+// the fused result in fusion mode, or null
+// signal: cancels the scan (rejects with an AbortError between and inside layers)
+// recordLatency: feed the performance tier this frame's whole-frame pass
+// (see recordFrameLatency); set for live camera frames
+async function recognizePresident(canvas, signal = null, recordLatency = false) {
     const overallStart = Date.now();
-    let result = null;
+    const timing = recordLatency ? {queueWait: 0} : null;
+    const pipeline = RecognizerRegistry.buildPipeline(
+        RECOGNITION_PIPELINE_CONFIG.LAYERS
+    );
+    const fusion = RECOGNITION_PIPELINE_CONFIG.FUSION.ENABLED;
+    const layersAttempted = [];
+    const layerResults = [];
 
     // Log frame details
     DiagnosticLogger.log("frame_recognition_start", {
         originalSize: `${canvas.width}x${canvas.height}`,
         originalPixels: canvas.width * canvas.height,
+        pipeline: pipeline.map((recognizer) => recognizer.id),
+        fusion: fusion,
         faceApiReady: faceApiReady,
     });
 
-    // LAYER 1: Try face recognition first (PRIMARY - GPU accelerated)
-    if (faceApiReady && faceMatcher) {
-        const layer1Start = Date.now();
-        console.log("[Layer 1] Attempting face recognition...");
+    // Recognize the rectified painting when one is found, else the full frame
+    const rectification = await rectifyFrame(canvas, signal, timing);
+    const input = rectification.canvas;
+
+    // Layer 0: narrow the catalog for the heavier layers
+    const prefilter = prefilterCatalog(input, !!rectification.quad);
+    const context = {
+        shortlist: prefilter ? prefilter.ids : null,
+        signal: signal,
+        // A rectified crop is warped differently every frame: only track full frames
+        faceTracker: rectification.quad ? null : getSessionFaceTracker(signal),
+        timing: timing,
+    };
+    let spent = Date.now() - overallStart; // Rectification and prefilter count towards the budget
 
-        // Downscale to 640x480 for optimal face detection performance
-        const resizedCanvas = resizeForRecognition(canvas, 1);
-        result = await tryFaceRecognition(resizedCanvas);
+    for (let i = 0; i < pipeline.length; i++) {
+        const recognizer = pipeline[i];
+        const layer = i + 1;
 
-        const layer1Duration = logPerformance(
-            "Layer 1 (Face Recognition)",
-            layer1Start
-        );
+        if (!recognizer.isReady()) {
+            console.log(`[Layer ${layer}] ${recognizer.label} not ready, skipping`);
+            continue;
+        }
 
-        // Log Layer 1 attempt
-        DiagnosticLogger.log("layer1_attempt", {
-            duration: layer1Duration,
-            resizedSize: `${resizedCanvas.width}x${resizedCanvas.height}`,
-            success: result && result.match !== "unknown",
-            result: result ? result.match : "no_face_or_distant",
+        const estimatedCost = RecognizerRegistry.estimateCost(recognizer);
+        if (spent + estimatedCost > RECOGNITION_PIPELINE_CONFIG.COST_BUDGET) {
+            console.log(
+                `[Layer ${layer}] ${recognizer.label} over budget (~${Math.round(
+                    estimatedCost
+                )}ms), skipping`
+            );
+            continue;
+        }
+
+        const layerStart = Date.now();
+        console.log(`[Layer ${layer}] Attempting ${recognizer.label}...`);
+
+        throwIfAborted(signal);
+        const result = await RecognizerRegistry.run(recognizer, input, context);
+        // face-api.js inference cannot be interrupted: drop its result instead
+        throwIfAborted(signal);
+
+        const layerDuration = logPerformance(
+            `Layer ${layer} (${recognizer.label})`,
+            layerStart
+        );
+        spent += layerDuration;
+        layersAttempted.push(recognizer.id);
+
+        // Log layer attempt
+        DiagnosticLogger.log(`layer${layer}_attempt`, {
+            recognizer: recognizer.id,
+            duration: layerDuration,
+            estimatedCost: Math.round(estimatedCost),
+            success: !!(result && result.accepted),
+            result: result && result.candidate ? result.candidate.name : null,
+            score: result ? result.score : null,
+            probability: result ? result.probability : null,
+            ...(result ? result.details : {}),
         });
 
-        if (result && result.match !== "unknown") {
+        if (result) layerResults.push(result);
+
+        // Fusion mode keeps going: later layers may confirm or contradict this one
+        if (result && result.accepted && fusion) {
+            console.log(
+                `[Layer ${layer}] Candidate: ${result.candidate.name} (p=${result.probability.toFixed(2)})`
+            );
+            continue;
+        }
+
+        if (result && result.accepted) {
+            recordFrameLatency(overallStart, timing);
             const totalDuration = logPerformance(
-                "Total Recognition (Layer 1 success)",
+                `Total Recognition (Layer ${layer} success)`,
                 overallStart
             );
 
             DiagnosticLogger.log("recognition_success", {
-                layer: 1,
-                method: "face-recognition",
-                president: result.name,
-                distance: result.distance,
+                layer: layer,
+                method: recognizer.id,
+                president: result.candidate.name,
+                score: result.score,
+                probability: result.probability,
+                ...result.details,
+                rectified: !!rectification.quad,
                 totalDuration: totalDuration,
             });
 
             console.log(
-                `[Layer 1] ✓ Match: ${
-                    result.name
-                } (distance: ${result.distance.toFixed(3)})`
+                `[Layer ${layer}] ✓ Match: ${
+                    result.candidate.name
+                } (score: ${result.score}, p=${result.probability.toFixed(2)})`
             );
-            return {
-                name: result.name,
-                description: result.description,
-                url: result.url,
-                matches: 100, // Placeholder for compatibility
-                method: "face-recognition",
-                distance: result.distance,
-                confidence: Math.round(
-                    (1 - Math.min(result.distance, 1)) * 100
-                ),
+            return {...result, layer};
+        }
+
+        console.log(`[Layer ${layer}] No confident match`);
+    }
+
+    if (fusion && layerResults.length > 0) {
+        const fused = fuseLayerResults(layerResults, Date.now() - overallStart);
+
+        logFusionResult(fused, layerResults);
+
+        if (fused.accepted) {
+            recordFrameLatency(overallStart, timing);
+            const totalDuration = logPerformance(
+                "Total Recognition (fusion success)",
+                overallStart
+            );
+
+            DiagnosticLogger.log("recognition_success", {
+                layer: null,
+                method: fused.recognizer,
+                president: fused.candidate.name,
+                score: fused.score,
+                probability: fused.probability,
+                disagreement: fused.details.disagreement,
+                rectified: !!rectification.quad,
+                totalDuration: totalDuration,
+            });
+
+            console.log(
+                `[Fusion] ✓ Match: ${fused.candidate.name} (p=${fused.probability.toFixed(2)})` +
+                    (fused.details.disagreement ? " ⚠️ layers disagree" : "")
+            );
+            return {...fused, layer: null};
+        }
+
+        console.log("[Fusion] No confident match");
+    }
+
+    // The zoomed passes below are not part of the frame's latency
+    recordFrameLatency(overallStart, timing);
+
+    // Nothing in the whole frame and no painting outline: the portrait may be
+    // too small, so zoom into the full-resolution capture
+    if (MULTI_SCALE_CONFIG.ENABLED && !fusion && !rectification.quad) {
+        const zoomed = await searchAtScale(canvas, pipeline, signal);
+
+        if (zoomed) {
+            const totalDuration = logPerformance(
+                "Total Recognition (multi-scale success)",
+                overallStart
+            );
+
+            DiagnosticLogger.log("recognition_success", {
+                layer: zoomed.layer,
+                method: zoomed.recognizer,
+                president: zoomed.candidate.name,
+                score: zoomed.score,
+                probability: zoomed.probability,
+                ...zoomed.details,
+                rectified: false,
+                totalDuration: totalDuration,
+            });
+
+            console.log(
+                `[Multi-Scale] ✓ Match: ${zoomed.candidate.name} (${zoomed.details.zoom}x region, p=${zoomed.probability.toFixed(2)})`
+            );
+            return zoomed;
+        }
+    }
+
+    const totalDuration = logPerformance(
+        "Total Recognition (no match)",
+        overallStart
+    );
+
+    DiagnosticLogger.log("recognition_failure", {
+        totalDuration: totalDuration,
+        layersAttempted: layersAttempted,
+        rectified: !!rectification.quad,
+    });
+
+    console.log("[Recognition] No match found");
+    return null;
+}
+
+// Feed the performance tier one frame's whole-frame pass (rectification, the
+// layers, fusion). Multi-scale passes are excluded: they only run when nothing
+// was found and spend up to the tier's own target, so counting them would step
+// a fast device down whenever it points at a blank wall. Time spent waiting
+// behind other pipelined frames (worker queue, face tracker turn) is excluded
+// too: it says nothing about the device's speed.
+// timing: { queueWait } of the frame, null = not measured
+function recordFrameLatency(startTime, timing) {
+    if (!timing) return;
+    PerformanceTier.recordLatency(Math.max(0, Date.now() - startTime - timing.queueWait));
+}
+
+// Try zoomed-in regions of the full-resolution frame, most salient first,
+// until a layer accepts one or the time budget is spent
+// Returns the accepted normalized result with `layer` and details.region /
+// details.zoom (region in frame pixels), or null
+async function searchAtScale(canvas, pipeline, signal = null) {
+    const startTime = Date.now();
+    const deadline = startTime + MULTI_SCALE_CONFIG.TIME_BUDGET;
+
+    const regions = MultiScale.rankBySaliency(
+        canvas,
+        MultiScale.regions(canvas.width, canvas.height, {
+            zoomLevels: MULTI_SCALE_CONFIG.ZOOM_LEVELS,
+            overlap: MULTI_SCALE_CONFIG.OVERLAP,
+        })
+    ).slice(0, MULTI_SCALE_CONFIG.MAX_REGIONS);
+
+    let searched = 0;
+    let found = null;
+
+    for (const region of regions) {
+        if (Date.now() >= deadline) break;
+
+        const crop = document.createElement("canvas");
+        crop.width = region.width;
+        crop.height = region.height;
+        crop
+            .getContext("2d")
+            .drawImage(
+                canvas,
+                region.x,
+                region.y,
+                region.width,
+                region.height,
+                0,
+                0,
+                region.width,
+                region.height
+            );
+
+        searched++;
+        found = await recognizeRegion(crop, pipeline, deadline, signal);
+        if (found) {
+            found.details = {
+                ...found.details,
+                region: {x: region.x, y: region.y, width: region.width, height: region.height},
+                zoom: Math.round((1 / region.zoom) * 10) / 10,
             };
+            break;
         }
-        console.log("[Layer 1] No face detected or match too distant");
     }
 
-    // LAYER 2: Fallback to ORB matching
-    const layer2Start = Date.now();
-    console.log("[Layer 2] Attempting ORB matching...");
+    DiagnosticLogger.log("multi_scale_search", {
+        regions: regions.length,
+        searched: searched,
+        found: !!found,
+        president: found ? found.candidate.name : null,
+        zoom: found ? found.details.zoom : null,
+        region: found ? found.details.region : null,
+        budget: MULTI_SCALE_CONFIG.TIME_BUDGET,
+        duration: Date.now() - startTime,
+    });
 
-    // Downscale to 1280x720 for ORB (needs more detail than face recognition)
-    const resizedCanvas = resizeForRecognition(canvas, 2);
-    result = tryORBMatching(resizedCanvas);
+    return found;
+}
+
+// Run the pipeline on one region, stopping before a layer whose estimated cost
+// would overrun the deadline. Returns the first accepted result (with `layer`) or null
+async function recognizeRegion(crop, pipeline, deadline, signal) {
+    // Signature of the whole region: the portrait need not be at its center
+    const prefilter = prefilterCatalog(crop, true);
+    // Face boxes found in a region are in region coordinates: never track them
+    const context = {shortlist: prefilter ? prefilter.ids : null, signal: signal, faceTracker: null};
+
+    for (let i = 0; i < pipeline.length; i++) {
+        const recognizer = pipeline[i];
+        if (!recognizer.isReady()) continue;
+        if (Date.now() + RecognizerRegistry.estimateCost(recognizer) > deadline) return null;
+
+        throwIfAborted(signal);
+        const result = await RecognizerRegistry.run(recognizer, crop, context);
+        throwIfAborted(signal);
+        if (result && result.accepted) return {...result, layer: i + 1};
+    }
 
-    const layer2Duration = logPerformance(
-        "Layer 2 (ORB Matching)",
-        layer2Start
+    return null;
+}
+
+// Combine per-candidate evidence from every layer into one ranked list
+// Calibrated probabilities are treated as independent evidence: their
+// log-odds are summed per candidate (a layer that did not list a candidate
+// adds nothing for it). Returns a normalized result with recognizer "fusion".
+function fuseLayerResults(layerResults, duration) {
+    const evidence = new Map();
+
+    for (const result of layerResults) {
+        const alternatives =
+            result.alternatives.length > 0
+                ? result.alternatives
+                : result.candidate
+                ? [result]
+                : [];
+
+        for (const alternative of alternatives) {
+            const id = alternative.candidate.id;
+            if (!evidence.has(id)) {
+                evidence.set(id, {
+                    candidate: alternative.candidate,
+                    logOdds: 0,
+                    layers: [],
+                });
+            }
+
+            const entry = evidence.get(id);
+            entry.logOdds += logOdds(alternative.probability);
+            entry.layers.push(result.recognizer);
+        }
+    }
+
+    const ranked = Array.from(evidence.values())
+        .map((entry) => ({
+            ...entry,
+            probability: 1 / (1 + Math.exp(-entry.logOdds)),
+        }))
+        .sort((a, b) => b.probability - a.probability);
+
+    // Layers that accepted different presidents disagree
+    const accepted = layerResults.filter((result) => result.accepted);
+    const acceptedIds = new Set(accepted.map((result) => result.candidate.id));
+    const best = ranked[0] || null;
+
+    return {
+        recognizer: "fusion",
+        label: "Fusion",
+        candidate: best ? best.candidate : null,
+        score: best ? Math.round(best.logOdds * 100) / 100 : 0,
+        probability: best ? best.probability : 0,
+        accepted:
+            !!best &&
+            best.probability >= RECOGNITION_PIPELINE_CONFIG.FUSION.MIN_PROBABILITY,
+        details: {
+            disagreement: acceptedIds.size > 1,
+            // What the sequential pipeline would have returned
+            sequential: accepted.length > 0 ? accepted[0].candidate.name : null,
+            layers: layerResults.map((result) => ({
+                recognizer: result.recognizer,
+                label: result.label,
+                candidate: result.candidate ? result.candidate.name : null,
+                candidateId: result.candidate ? result.candidate.id : null,
+                probability: result.probability,
+                accepted: result.accepted,
+            })),
+            ranked: ranked.slice(0, 3).map((entry) => ({
+                name: entry.candidate.name,
+                probability: entry.probability,
+                layers: entry.layers,
+            })),
+        },
+        alternatives: [],
+        duration: duration,
+    };
+}
+
+// Log-odds of a probability, clamped so one layer cannot be infinitely sure
+function logOdds(probability) {
+    const p = Math.min(Math.max(probability, 0.01), 0.99);
+    return Math.log(p / (1 - p));
+}
+
+// Log a fusion outcome next to what the sequential pipeline would have done
+function logFusionResult(fused, layerResults) {
+    const details = fused.details;
+    const fusedName = fused.accepted ? fused.candidate.name : null;
+
+    DiagnosticLogger.log("fusion_result", {
+        president: fused.candidate ? fused.candidate.name : null,
+        probability: fused.probability,
+        accepted: fused.accepted,
+        disagreement: details.disagreement,
+        sequential: details.sequential,
+        agreesWithSequential: fusedName === details.sequential,
+        layers: details.layers,
+        ranked: details.ranked,
+        layersRun: layerResults.length,
+        duration: fused.duration,
+    });
+}
+
+// Multi-subject recognition: identify every face in the frame
+// Returns [{ box, result }] (see RecognizerRegistry.runAll)
+async function recognizeAllSubjects(canvas, signal = null) {
+    const recognizer = RecognizerRegistry.get(MULTI_SUBJECT_CONFIG.RECOGNIZER);
+
+    if (!recognizer || !recognizer.isReady()) {
+        console.log("[Multi-Subject] Recognizer not ready, skipping");
+        return [];
+    }
+
+    throwIfAborted(signal);
+    const subjects = await RecognizerRegistry.runAll(recognizer, canvas);
+    throwIfAborted(signal);
+    const identified = subjects.filter(
+        (subject) => subject.result && subject.result.accepted
     );
 
-    // Log Layer 2 attempt
-    DiagnosticLogger.log("layer2_attempt", {
-        duration: layer2Duration,
-        resizedSize: `${resizedCanvas.width}x${resizedCanvas.height}`,
-        matches: result ? result.matches : 0,
-        success: result && result.matches >= 20,
-    });
+    DiagnosticLogger.log("multi_subject_frame", {
+        recognizer: recognizer.id,
+        originalSize: `${canvas.width}x${canvas.height}`,
+        facesDetected: subjects.length,
+        facesIdentified: identified.length,
+        duration: subjects.length > 0 ? subjects[0].result.duration : null,
+        subjects: subjects.map((subject) => ({
+            box: subject.box,
+            result: subject.result.candidate
+                ? subject.result.candidate.name
+                : null,
+            probability: subject.result.probability,
+        })),
+    });
+
+    console.log(
+        `[Multi-Subject] ${identified.length}/${subjects.length} faces identified`
+    );
+    return subjects;
+}
+
+// Build the result page state from the subject tracker
+// Returns null until at least one face has a confirmed identity
+function buildMultiSubjectResult(frameSize, totalFrames) {
+    const confirmed = subjectTracker.getConfirmed();
+    if (confirmed.length === 0) return null;
+
+    return {
+        multi: true,
+        subjects: confirmed.map((track) => ({
+            id: track.candidate.id,
+            name: track.candidate.name,
+            description: track.candidate.description,
+            url: track.candidate.url,
+            box: track.box,
+            method: track.method,
+            methodLabel: track.methodLabel,
+            probability: track.probability,
+            avgProbability: track.avgProbability,
+            voteCount: track.voteCount,
+            frames: track.hits,
+        })),
+        frameSize: frameSize,
+        totalFrames: totalFrames,
+    };
+}
+
+function createMultiSubjectTracker() {
+    return createSubjectTracker({
+        minIoU: MULTI_SUBJECT_CONFIG.MIN_IOU,
+        maxMisses: MULTI_SUBJECT_CONFIG.MAX_MISSES,
+        minHits: MULTI_SUBJECT_CONFIG.MIN_HITS,
+        minConsensus: MULTI_SUBJECT_CONFIG.MIN_CONSENSUS,
+    });
+}
+
+// Layer 1: Face Recognition using FaceMatcher
+// Score is 1 - Euclidean distance (higher = better)
+// context.faceTracker: follows the face between frames (null = detect from scratch)
+async function tryFaceRecognition(canvas, context = {}) {
+    const tracker = context.faceTracker || null;
+    if (!tracker) return detectAndMatchFace(canvas, null);
+
+    // Pipelined frames take turns, so each follows the box the last one left
+    const queuedAt = Date.now();
+    return tracker.exclusive(async () => {
+        if (context.timing) context.timing.queueWait += Date.now() - queuedAt;
+
+        // Follow an already identified face instead of detecting from scratch
+        if (tracker.isTracking()) {
+            const tracked = await trackFace(canvas, tracker);
+            if (tracked) return tracked;
+        }
+        return detectAndMatchFace(canvas, tracker);
+    });
+}
+
+// Full-frame face detection + descriptor match; starts tracking the face when
+// the match is accepted (tracker null = no tracking)
+async function detectAndMatchFace(canvas, tracker) {
+    // Downscale for optimal face detection performance
+    const resizedCanvas = normalizeFaceIllumination(resizeForRecognition(canvas, 1));
+
+    // Detect face and extract descriptor
+    const detection = await faceapi
+        .detectSingleFace(resizedCanvas, createFaceDetectorOptions(1))
+        .withFaceLandmarks()
+        .withFaceDescriptor();
+
+    if (!detection) {
+        if (tracker) tracker.reset();
+        return null; // No face detected
+    }
+
+    const result = matchFaceDescriptor(detection.descriptor, {
+        detector: FACE_DETECTOR_CONFIG.TYPE,
+        detectionScore: detection.detection.score,
+        illumination: Illumination.key(getFaceIllumination()),
+        resizedSize: `${resizedCanvas.width}x${resizedCanvas.height}`,
+    });
+
+    // Start tracking an identified face (box in the coordinates of the canvas
+    // we were given); an unknown face has no identity worth reusing
+    if (tracker && result.candidate && result.accepted) {
+        const scale = canvas.width / resizedCanvas.width;
+        tracker.identify(
+            scaleBox(detection.detection.box, scale, 0, 0),
+            detection.detection.score,
+            result
+        );
+    } else if (tracker) {
+        tracker.reset();
+    }
+
+    return result;
+}
+
+// Layer 1, tracked: look for the face only around its last position
+// Reuses the tracked identity, or identifies the face again (landmarks +
+// descriptor on the search region only) when the tracker asks for it.
+// Returns a face recognition result, or null when the face was lost (the
+// caller then falls back to full-frame detection).
+async function trackFace(canvas, tracker) {
+    const roi = tracker.getRegionOfInterest(canvas.width, canvas.height);
+    const roiCanvas = document.createElement("canvas");
+    roiCanvas.width = roi.width;
+    roiCanvas.height = roi.height;
+    roiCanvas
+        .getContext("2d")
+        .drawImage(canvas, roi.x, roi.y, roi.width, roi.height, 0, 0, roi.width, roi.height);
+
+    const options = new faceapi.TinyFaceDetectorOptions({
+        inputSize: FACE_TRACKING_CONFIG.ROI_INPUT_SIZE,
+        scoreThreshold: FACE_TRACKING_CONFIG.ROI_SCORE_THRESHOLD,
+    });
+
+    const identify = tracker.needsIdentification();
+    const task = faceapi.detectSingleFace(normalizeFaceIllumination(roiCanvas), options);
+    const found = identify
+        ? await task.withFaceLandmarks().withFaceDescriptor()
+        : await task;
+
+    if (!found) {
+        tracker.reset();
+        DiagnosticLogger.log("face_track_lost", {reason: "not_found", roi: roi});
+        return null;
+    }
+
+    const detection = identify ? found.detection : found;
+    const box = scaleBox(detection.box, 1, roi.x, roi.y);
+    const confidence = tracker.update(box, detection.score);
+
+    if (!tracker.isTracking()) {
+        DiagnosticLogger.log("face_track_lost", {
+            reason: "low_confidence",
+            confidence: confidence,
+        });
+        return null;
+    }
+
+    const trackingDetails = {
+        detector: "tiny",
+        tracked: true,
+        trackingConfidence: Math.round(confidence * 1000) / 1000,
+        roiSize: `${roi.width}x${roi.height}`,
+    };
+
+    if (identify) {
+        const result = matchFaceDescriptor(found.descriptor, trackingDetails);
+        if (result.candidate && result.accepted) {
+            tracker.identify(box, detection.score, result);
+        } else {
+            tracker.reset();
+            DiagnosticLogger.log("face_track_lost", {reason: "not_identified", roi: roi});
+        }
+        return result;
+    }
+
+    // Reuse the identity; only the tracking details are new
+    const tracked = tracker.getIdentity();
+    return {
+        ...tracked.identity,
+        details: {
+            ...tracked.identity.details,
+            ...trackingDetails,
+            reusedIdentity: true,
+            framesSinceIdentified: tracked.framesSinceIdentified,
+        },
+    };
+}
+
+// Illumination stages for face recognition: the ones the face gallery was
+// generated with, unless overridden or switched off (null = none)
+function getFaceIllumination() {
+    if (!ILLUMINATION_CONFIG.ENABLED) return null;
+    return (
+        ILLUMINATION_CONFIG.OVERRIDE ??
+        (faceEmbeddingsData && faceEmbeddingsData.illumination) ??
+        null
+    );
+}
+
+// Illumination-normalized copy of a canvas for face-api.js
+// Returns the canvas itself when no stage is enabled (it may be the caller's
+// frame, so it is never modified in place)
+function normalizeFaceIllumination(canvas) {
+    const illumination = getFaceIllumination();
+    if (!Illumination.isEnabled(illumination)) return canvas;
+
+    const normalized = document.createElement("canvas");
+    normalized.width = canvas.width;
+    normalized.height = canvas.height;
+    const ctx = normalized.getContext("2d");
+    ctx.drawImage(canvas, 0, 0);
+    const imageData = ctx.getImageData(0, 0, normalized.width, normalized.height);
+    ctx.putImageData(Illumination.apply(imageData, illumination), 0, 0);
+    return normalized;
+}
+
+// face-api.js detector options for FACE_DETECTOR_CONFIG.TYPE
+// Fast tiers use a lower confidence threshold to catch faces at angles
+function createFaceDetectorOptions(maxResults) {
+    const confidence = performanceSettings.detectorConfidence;
+
+    switch (FACE_DETECTOR_CONFIG.TYPE) {
+        case "tiny": {
+            const tiny = FACE_DETECTOR_CONFIG.TINY;
+            return new faceapi.TinyFaceDetectorOptions({
+                inputSize: tiny.INPUT_SIZE,
+                scoreThreshold: tiny.SCORE_THRESHOLD ?? confidence,
+            });
+        }
+        case "mtcnn": {
+            const mtcnn = FACE_DETECTOR_CONFIG.MTCNN;
+            return new faceapi.MtcnnOptions({
+                minFaceSize: mtcnn.MIN_FACE_SIZE,
+                scaleFactor: mtcnn.SCALE_FACTOR,
+                scoreThresholds: mtcnn.SCORE_THRESHOLDS,
+            });
+        }
+        default:
+            return new faceapi.SsdMobilenetv1Options({
+                minConfidence: FACE_DETECTOR_CONFIG.SSD.MIN_CONFIDENCE ?? confidence,
+                maxResults: maxResults,
+            });
+    }
+}
+
+// Weights to load: the selected detector, landmarks and descriptors, plus the
+// Tiny Face Detector when face tracking needs it for its search region
+function getRequiredFaceNets() {
+    const detectorNet = FACE_DETECTOR_NETS[FACE_DETECTOR_CONFIG.TYPE];
+    if (!detectorNet) {
+        throw new Error(`Unknown face detector: ${FACE_DETECTOR_CONFIG.TYPE}`);
+    }
+
+    const nets = [detectorNet, "faceLandmark68Net", "faceRecognitionNet"];
+    if (FACE_TRACKING_CONFIG.ENABLED && !nets.includes("tinyFaceDetector")) {
+        nets.push("tinyFaceDetector");
+    }
+    return nets;
+}
+
+// Map a face-api box into canvas coordinates: scale, then offset
+function scaleBox(box, scale, offsetX, offsetY) {
+    return {
+        x: Math.round(box.x * scale + offsetX),
+        y: Math.round(box.y * scale + offsetY),
+        width: Math.round(box.width * scale),
+        height: Math.round(box.height * scale),
+    };
+}
+
+// Layer 1, multi-subject mode: identify every face in the frame
+// Boxes are returned in the coordinates of the original (un-resized) canvas
+async function tryFaceRecognitionAll(canvas) {
+    const resizedCanvas = normalizeFaceIllumination(resizeForRecognition(canvas, 1));
+    const scale = canvas.width / resizedCanvas.width;
 
-    if (result && result.matches >= 20) {
-        const totalDuration = logPerformance(
-            "Total Recognition (Layer 2 success)",
-            overallStart
-        );
+    const detections = await faceapi
+        .detectAllFaces(resizedCanvas, createFaceDetectorOptions(MULTI_SUBJECT_CONFIG.MAX_FACES))
+        .withFaceLandmarks()
+        .withFaceDescriptors();
 
-        DiagnosticLogger.log("recognition_success", {
-            layer: 2,
-            method: "orb-matching",
-            president: result.name,
-            matches: result.matches,
-            totalDuration: totalDuration,
-        });
+    // Only SSD caps the number of results itself: keep the most confident faces
+    const faces = detections
+        .sort((a, b) => b.detection.score - a.detection.score)
+        .slice(0, MULTI_SUBJECT_CONFIG.MAX_FACES);
 
-        console.log(
-            `[Layer 2] ✓ Match: ${result.name} (matches: ${result.matches})`
-        );
+    return faces.map((detection) => {
         return {
-            ...result,
-            method: "orb-matching",
+            box: scaleBox(detection.detection.box, scale, 0, 0),
+            ...matchFaceDescriptor(detection.descriptor, {
+                detector: FACE_DETECTOR_CONFIG.TYPE,
+                detectionScore: detection.detection.score,
+                resizedSize: `${resizedCanvas.width}x${resizedCanvas.height}`,
+            }),
         };
-    }
-
-    const totalDuration = logPerformance(
-        "Total Recognition (no match)",
-        overallStart
-    );
-
-    DiagnosticLogger.log("recognition_failure", {
-        totalDuration: totalDuration,
-        layer1Attempted: faceApiReady && faceMatcher,
-        layer2Matches: result ? result.matches : 0,
     });
-
-    console.log("[Layer 2] No match found");
-    return null;
 }
 
-// Layer 1: Face Recognition using FaceMatcher
-async function tryFaceRecognition(canvas) {
-    try {
-        // Mobile: Lower confidence threshold for faster detection at angles
-        // Desktop: Default threshold for accuracy
-        const options = new faceapi.SsdMobilenetv1Options({
-            minConfidence: isMobile ? mobileConfidence : desktopConfidence, // More aggressive on mobile
-            maxResults: 1, // Only need one face
-        });
-
-        // Detect face and extract descriptor
-        const detection = await faceapi
-            .detectSingleFace(canvas, options)
-            .withFaceLandmarks()
-            .withFaceDescriptor();
-
-        if (!detection) {
-            return null; // No face detected
-        }
+// Match one face descriptor against the gallery
+function matchFaceDescriptor(descriptor, details) {
+    // Use FaceMatcher to find best match
+    const bestMatch = faceMatcher.findBestMatch(descriptor);
 
-        // Use FaceMatcher to find best match
-        const bestMatch = faceMatcher.findBestMatch(detection.descriptor);
+    // bestMatch.label = subject id or "unknown"
+    // bestMatch.distance = Euclidean distance (lower = better)
+    // Default threshold is 0.6
+    details = {distance: bestMatch.distance, ...details};
 
-        // bestMatch.label = president name or "unknown"
-        // bestMatch.distance = Euclidean distance (lower = better)
-        // Default threshold is 0.6
+    // Closest presidents regardless of the threshold (evidence for fusion)
+    const alternatives = rankFaceCandidates(descriptor).map((entry) => ({
+        candidate: faceCandidate(entry.label),
+        score: 1 - entry.distance,
+    }));
 
-        if (bestMatch.label !== "unknown") {
-            // Find full president data from embeddings
-            const presidentData = faceEmbeddingsData.embeddings.find(
-                (p) => p.name === bestMatch.label
-            );
+    if (bestMatch.label === "unknown") {
+        return {candidate: null, score: 1 - bestMatch.distance, details, alternatives};
+    }
 
-            // Find description from reference data (for full info)
-            const refData = referenceData.find(
-                (r) => r.name === bestMatch.label
-            );
+    return {
+        candidate: faceCandidate(bestMatch.label),
+        score: 1 - bestMatch.distance,
+        accepted: true,
+        details,
+        alternatives,
+    };
+}
 
-            return {
-                name: bestMatch.label,
-                description: refData ? refData.description : "",
-                url: presidentData ? presidentData.url : "",
-                distance: bestMatch.distance,
-                match: bestMatch.label,
-            };
+// Nearest gallery sample distance per subject (by label), closest first
+function rankFaceCandidates(descriptor) {
+    const distances = new Map();
+    for (const labeled of faceMatcher.labeledDescriptors) {
+        for (const sample of labeled.descriptors) {
+            const distance = faceapi.euclideanDistance(descriptor, sample);
+            if (distance < (distances.get(labeled.label) ?? Infinity)) {
+                distances.set(labeled.label, distance);
+            }
         }
-
-        return null;
-    } catch (error) {
-        console.error("[Face Recognition] Error:", error);
-        return null;
     }
+
+    return Array.from(distances, ([label, distance]) => ({label, distance}))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, RECOGNITION_PIPELINE_CONFIG.FUSION.ALTERNATIVES);
 }
 
-// Layer 2: ORB Matching (existing logic, refactored)
-function tryORBMatching(canvas) {
-    try {
-        // Extract ORB features
-        const features = extractORBFeatures(canvas);
+// Full candidate info for a face gallery label (subject id)
+function faceCandidate(label) {
+    const id = Number(label);
+    return subjectCandidate(
+        id,
+        faceEmbeddingsData.embeddings.find((entry) => entry.id === id)
+    );
+}
 
-        if (
-            !features ||
-            !features.descriptors ||
-            features.descriptors.rows === 0
-        ) {
-            if (features) {
-                features.descriptors?.delete();
-                features.keypoints?.delete();
-            }
-            return null;
-        }
+// Layer 2: ORB Matching (runs in the OpenCV worker)
+// Score is the number of verified inliers (ratio-test matches for legacy references)
+async function tryORBMatching(canvas, context) {
+    // Downscale for ORB (needs more detail than face recognition)
+    const resizedCanvas = resizeForRecognition(canvas, 2);
 
-        // Match against reference descriptors
-        const match = matchImage(features.descriptors);
+    // Extract features and match against reference descriptors off the main thread
+    const match = await CvWorker.matchFrame(
+        resizedCanvas,
+        context.shortlist,
+        context.signal,
+        context.timing
+    );
 
-        // Clean up
-        features.descriptors.delete();
-        features.keypoints.delete();
+    if (!match) return null;
 
-        return match;
-    } catch (error) {
-        console.error("[ORB Matching] Error:", error);
-        return null;
-    }
+    // Best-scoring subjects (evidence for fusion): candidates are sorted, so
+    // the first reference of a subject is its best one
+    const seen = new Set();
+    const alternatives = match.candidates
+        .filter((entry) => !seen.has(entry.id) && seen.add(entry.id))
+        .slice(0, RECOGNITION_PIPELINE_CONFIG.FUSION.ALTERNATIVES)
+        .map((entry) => ({
+            candidate: subjectCandidate(entry.id, entry),
+            score: entry.matches,
+        }));
+
+    return {
+        candidate: subjectCandidate(match.id, match),
+        score: match.matches,
+        accepted: match.matches >= ORB_MATCH_CONFIG.MIN_INLIERS,
+        alternatives,
+        details: {
+            matches: match.matches,
+            goodMatches: match.goodMatches,
+            inliers: match.inliers,
+            verified: match.verified,
+            feature: match.feature,
+            illumination: match.illumination,
+            quad: match.quad,
+            indexed: match.indexed,
+            prefiltered: match.prefiltered,
+            shortlisted: match.shortlisted,
+            keypoints: match.keypoints,
+            extractDuration: match.extractDuration,
+            matchDuration: match.matchDuration,
+            resizedSize: `${resizedCanvas.width}x${resizedCanvas.height}`,
+        },
+    };
 }
 
+// Built-in recognizers
+RecognizerRegistry.register({
+    id: "face-recognition",
+    label: "Face Recognition",
+    initialCost: isMobile ? 100 : 35,
+    isReady: () => faceApiReady && !!faceMatcher,
+    calibrate: (score) => Calibration.probability("face-recognition", score),
+    recognize: tryFaceRecognition,
+    recognizeAll: tryFaceRecognitionAll,
+});
+
+RecognizerRegistry.register({
+    id: "orb-matching",
+    label: "ORB Matching",
+    initialCost: isMobile ? 300 : 200,
+    isReady: () => opencvReady && referenceData.length > 0,
+    calibrate: (score) => Calibration.probability("orb-matching", score),
+    // No recognizeAll: ORB matches the whole frame against one reference at a
+    // time, so multi-subject mode relies on face recognition only
+    recognize: tryORBMatching,
+});
+
 // Request camera access
 async function requestCameraAccess() {
     try {
@@ -925,6 +2067,92 @@ function vibrate(pattern = 50) {
     }
 }
 
+// ============================================================================
+// SCAN CANCELLATION
+// ============================================================================
+
+// Every scan (auto-scan, capture burst, upload) runs under one AbortController.
+// Stopping, leaving the route or starting another scan aborts it: frame waits
+// end, pending worker requests are dropped and recognizePresident() rejects
+// with an AbortError between (and inside) layers, so an abandoned scan never
+// reaches Router.navigate()
+
+// Start a scan session (aborting any previous one) and return its signal
+// Camera sessions follow the face across their frames; uploads are unrelated
+// images and never do
+function beginScanSession(mode) {
+    abortScan("superseded");
+    scanSession = {
+        controller: new AbortController(),
+        mode: mode,
+        startTime: Date.now(),
+        faceTracker:
+            FACE_TRACKING_CONFIG.ENABLED && mode !== "upload"
+                ? createSessionFaceTracker()
+                : null,
+    };
+    return scanSession.controller.signal;
+}
+
+// Face tracker of the session a signal belongs to (null = none / ended)
+function getSessionFaceTracker(signal) {
+    if (!scanSession || !signal || scanSession.controller.signal !== signal) return null;
+    return scanSession.faceTracker;
+}
+
+// A scan finished on its own: there is nothing left to abort
+function endScanSession(signal) {
+    if (scanSession && scanSession.controller.signal === signal) scanSession = null;
+}
+
+// Abort the scan in progress, if any, and log why
+function abortScan(reason) {
+    if (!scanSession) return;
+
+    const session = scanSession;
+    scanSession = null;
+    session.controller.abort();
+
+    DiagnosticLogger.log("scan_aborted", {
+        reason: reason,
+        mode: session.mode,
+        duration: Date.now() - session.startTime,
+    });
+    console.log(`⏹️  Scan aborted (${session.mode}): ${reason}`);
+}
+
+function createAbortError() {
+    return new DOMException("Scan aborted", "AbortError");
+}
+
+function isAbortError(error) {
+    return !!error && error.name === "AbortError";
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) throw createAbortError();
+}
+
+// Wait ms; rejects with an AbortError as soon as the signal fires
+function delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener("abort", onAbort, {once: true});
+    });
+}
+
 // Capture and identify artwork with multi-frame voting
 async function captureAndIdentify() {
     const video = document.getElementById("camera");
@@ -942,8 +2170,13 @@ async function captureAndIdentify() {
     statusEl.style.opacity = "1";
     updateStatus("📸 Capturing frames...", "loading");
 
+    // A manual capture replaces live scanning
+    if (scanningActive) stopContinuousScanning("capture");
+    const signal = beginScanSession("capture");
+
     try {
         const frameResults = [];
+        if (multiSubjectMode) subjectTracker = createMultiSubjectTracker();
 
         // Capture multiple frames
         for (let i = 0; i < NUM_FRAMES; i++) {
@@ -958,41 +2191,58 @@ async function captureAndIdentify() {
             const ctx = canvas.getContext("2d");
             ctx.drawImage(video, 0, 0);
 
-            // Use 2-layer recognition (face-api.js + ORB fallback)
-            const match = await recognizePresident(canvas);
+            if (multiSubjectMode) {
+                // Follow every face instead of voting on one
+                subjectTracker.update(await recognizeAllSubjects(canvas, signal));
+            } else {
+                // Use 2-layer recognition (face-api.js + ORB fallback)
+                const match = await recognizePresident(canvas, signal);
 
-            // Store result
-            if (match) {
-                frameResults.push(match);
-                console.log(
-                    `Frame ${i + 1}: ${match.name} (${match.method}) - ${
-                        match.matches || match.distance?.toFixed(3)
-                    } features`
-                );
+                // Store result
+                if (match) {
+                    frameResults.push(match);
+                    console.log(
+                        `Frame ${i + 1}: ${match.candidate.name} (${
+                            match.recognizer
+                        }) - p=${match.probability.toFixed(2)}`
+                    );
+                }
             }
 
             // Wait before next frame (except on last frame)
             if (i < NUM_FRAMES - 1) {
-                await new Promise((resolve) =>
-                    setTimeout(resolve, FRAME_DELAY)
-                );
+                await delay(FRAME_DELAY, signal);
             }
         }
 
         // Aggregate results using voting
         updateStatus("⏳ Analyzing results...", "loading");
-        const aggregatedResult = aggregateFrameResults(frameResults);
+        const aggregatedResult = multiSubjectMode
+            ? buildMultiSubjectResult(
+                  {width: canvas.width, height: canvas.height},
+                  NUM_FRAMES
+              ) || {noMatch: true}
+            : aggregateFrameResults(frameResults);
 
         // Navigate to result page
-        Router.navigate('/scan/result', { state: aggregatedResult });
+        endScanSession(signal);
+        Router.navigate('/scan/result', { state: withCollection(aggregatedResult) });
 
         // Vibrate based on result
-        if (aggregatedResult && aggregatedResult.matches >= 15) {
+        if (
+            aggregatedResult &&
+            !aggregatedResult.inconclusive &&
+            !aggregatedResult.noMatch
+        ) {
             vibrate([50, 100, 50]); // Success pattern
         } else {
             vibrate([100, 50, 100]); // No match pattern
         }
     } catch (error) {
+        // Aborted (already logged): the user moved on
+        if (isAbortError(error)) return;
+
+        endScanSession(signal);
         console.error("Multi-frame capture error:", error);
         updateStatus(`✗ Error: ${error.message}`, "error");
         vibrate(200); // Error vibration
@@ -1004,6 +2254,7 @@ async function startContinuousScanning() {
     if (!AUTO_SCAN_CONFIG.ENABLED) return;
 
     scanningActive = true;
+    const signal = beginScanSession("auto");
     console.log("🔍 Starting continuous auto-scan mode");
 
     // Show stop & view logs button
@@ -1013,30 +2264,57 @@ async function startContinuousScanning() {
     const canvas = document.getElementById("capture-canvas");
 
     let attemptCount = 0;
+    let guidance = null; // Quality advice that outlasts the attempt that produced it
+    if (multiSubjectMode) subjectTracker = createMultiSubjectTracker();
+    else evidenceAccumulator = createScanAccumulator();
 
-    while (scanningActive) {
+    while (scanningActive && !signal.aborted) {
         try {
             attemptCount++;
             const attemptStartTime = Date.now();
 
-            updateStatus("🔍 Scanning... Hold steady on portrait", "loading");
+            updateStatus(guidance || "🔍 Scanning... Hold steady on portrait", "loading");
 
             // Log scan attempt start
             DiagnosticLogger.log("scan_attempt_start", {
                 attemptNumber: attemptCount,
                 numFrames: AUTO_SCAN_CONFIG.NUM_FRAMES,
-                scanHistorySize: scanHistory.length,
+                accumulatedFrames: multiSubjectMode
+                    ? null
+                    : evidenceAccumulator.getState().frames,
             });
 
             const frameResults = [];
+            const inFlight = [];
+            // An abort can leave frames unawaited: keep their rejections handled
+            const addInFlight = (frame) => {
+                frame.catch(() => {});
+                inFlight.push(frame);
+            };
+            const rejections = [];
+            let framesCaptured = 0;
 
-            // Capture multiple frames for this scan attempt
+            // Capture multiple frames for this scan attempt. Up to PIPELINE_DEPTH
+            // frames are recognized concurrently, so the next frame is captured
+            // (and face-detected) while the worker is still matching the last one.
+            // Single-portrait mode stops capturing as soon as the evidence decides.
             for (let i = 0; i < AUTO_SCAN_CONFIG.NUM_FRAMES; i++) {
+                // Wait for the oldest frame before reusing its canvas
+                if (inFlight.length >= AUTO_SCAN_CONFIG.PIPELINE_DEPTH) {
+                    await inFlight.shift();
+                }
+
+                if (!multiSubjectMode && evidenceAccumulator.getState().status !== "collecting") {
+                    break;
+                }
+
                 // Capture current frame
-                canvas.width = video.videoWidth;
-                canvas.height = video.videoHeight;
-                const ctx = canvas.getContext("2d");
+                const frameCanvas = getPipelineCanvas(canvas, i);
+                frameCanvas.width = video.videoWidth;
+                frameCanvas.height = video.videoHeight;
+                const ctx = frameCanvas.getContext("2d");
                 ctx.drawImage(video, 0, 0);
+                framesCaptured++;
 
                 // Show live feedback
                 updateStatus(
@@ -1046,220 +2324,378 @@ async function startContinuousScanning() {
                     "loading"
                 );
 
-                // Use 2-layer recognition (face-api.js + ORB fallback)
-                const match = await recognizePresident(canvas);
-
-                // Store result
-                if (match) {
-                    frameResults.push(match);
-                    console.log(
-                        `[Continuous Scan] Frame ${i + 1}: ${match.name} (${
-                            match.method
-                        })`
+                // Drop blurred, glary or badly exposed frames: they must not vote
+                const quality = checkFrameQuality(frameCanvas, attemptCount, i + 1);
+
+                if (!quality.ok) {
+                    rejections.push(quality.reasons[0]);
+                    updateStatus(FRAME_QUALITY_CONFIG.GUIDANCE[quality.reasons[0]], "loading");
+                } else if (multiSubjectMode) {
+                    // Multi-subject mode: follow every face instead of voting on one
+                    const frameStart = Date.now();
+                    addInFlight(
+                        recognizeAllSubjects(frameCanvas, signal).then((subjects) => {
+                            PerformanceTier.recordLatency(Date.now() - frameStart);
+                            subjectTracker.update(subjects);
+                        })
+                    );
+                } else {
+                    // Use 2-layer recognition (face-api.js + ORB fallback)
+                    const frameNumber = i + 1;
+                    addInFlight(
+                        // Measured latency keeps the performance tier honest
+                        recognizePresident(frameCanvas, signal, true).then((match) => {
+                            // Store result
+                            if (match) {
+                                frameResults.push(match);
+                                console.log(
+                                    `[Continuous Scan] Frame ${frameNumber}: ${
+                                        match.candidate.name
+                                    } (${match.recognizer})`
+                                );
+                            }
+
+                            // Frames without a match still count towards giving up
+                            const evidence = evidenceAccumulator.add(match);
+                            if (evidence.status === "collecting" && evidence.leader) {
+                                updateStatus(
+                                    `🔍 Looks like ${evidence.leader.name}... (${Math.round(
+                                        evidence.posterior * 100
+                                    )}%)`,
+                                    "loading"
+                                );
+                            }
+                        })
                     );
                 }
 
                 // Wait before next frame
                 if (i < AUTO_SCAN_CONFIG.NUM_FRAMES - 1) {
-                    await new Promise((resolve) =>
-                        setTimeout(resolve, AUTO_SCAN_CONFIG.FRAME_DELAY)
-                    );
+                    await delay(AUTO_SCAN_CONFIG.FRAME_DELAY, signal);
                 }
             }
 
-            // Aggregate results for this attempt
-            const aggregatedResult = aggregateFrameResults(frameResults);
+            await Promise.all(inFlight);
+            throwIfAborted(signal);
+
+            // Keep advising while most frames of an attempt are rejected
+            guidance =
+                rejections.length > framesCaptured / 2
+                    ? FRAME_QUALITY_CONFIG.GUIDANCE[mostCommon(rejections)]
+                    : null;
 
             const attemptDuration = Date.now() - attemptStartTime;
+            const evidence = multiSubjectMode ? null : evidenceAccumulator.getState();
 
             // Log scan attempt result
             DiagnosticLogger.log("scan_attempt_complete", {
                 attemptNumber: attemptCount,
                 duration: attemptDuration,
-                framesProcessed: AUTO_SCAN_CONFIG.NUM_FRAMES,
+                framesProcessed: framesCaptured,
+                framesRejected: rejections.length,
                 framesWithResults: frameResults.length,
-                aggregatedResult: aggregatedResult
+                evidence: evidence
                     ? {
-                          name: aggregatedResult.name,
-                          consensus: aggregatedResult.consensus,
-                          voteCount: aggregatedResult.voteCount,
-                          inconclusive: aggregatedResult.inconclusive,
+                          status: evidence.status,
+                          leader: evidence.leader ? evidence.leader.name : null,
+                          posterior: evidence.posterior,
+                          frames: evidence.frames,
+                          evidenceFrames: evidence.evidenceFrames,
                       }
                     : null,
             });
 
-            // Add to history (sliding window)
-            if (aggregatedResult && !aggregatedResult.inconclusive) {
-                scanHistory.push(aggregatedResult);
-                if (scanHistory.length > AUTO_SCAN_CONFIG.HISTORY_SIZE) {
-                    scanHistory.shift(); // Remove oldest
-                }
-            }
-
             // Check if we should display result
-            const shouldDisplay = checkForConfidentMatch();
+            const shouldDisplay = multiSubjectMode
+                ? checkForConfidentSubjects(attemptCount, {
+                      width: video.videoWidth,
+                      height: video.videoHeight,
+                  })
+                : checkSequentialDecision(attemptCount);
 
             // Log confidence check
             DiagnosticLogger.log("confidence_check", {
                 attemptNumber: attemptCount,
                 shouldDisplay: !!shouldDisplay,
-                scanHistorySize: scanHistory.length,
-                result: shouldDisplay ? shouldDisplay.name : null,
+                inconclusive: !!(shouldDisplay && shouldDisplay.inconclusive),
+                result: shouldDisplay ? describeScanResult(shouldDisplay) : null,
             });
 
             if (shouldDisplay) {
-                console.log("✓ Confident match found!", shouldDisplay);
-
-                // Log successful scan
-                DiagnosticLogger.log("scan_success", {
-                    totalAttempts: attemptCount,
-                    president: shouldDisplay.name,
-                    method: shouldDisplay.method,
-                    consensus: shouldDisplay.consensus,
-                });
-
-                // Auto-upload logs after first successful scan
-                if (!DiagnosticLogger.hasUploaded) {
-                    DiagnosticLogger.sendBatchToRemote();
+                if (shouldDisplay.inconclusive) {
+                    console.log("⚠️ Evidence stayed ambiguous, giving up", shouldDisplay);
+                } else {
+                    console.log("✓ Confident match found!", shouldDisplay);
+
+                    // Log successful scan
+                    DiagnosticLogger.log("scan_success", {
+                        totalAttempts: attemptCount,
+                        president: describeScanResult(shouldDisplay),
+                        method: shouldDisplay.method,
+                        consensus: shouldDisplay.consensus,
+                    });
+
+                    // Auto-upload logs after first successful scan
+                    if (!DiagnosticLogger.hasUploaded) {
+                        DiagnosticLogger.sendBatchToRemote();
+                    }
                 }
 
                 scanningActive = false;
+                endScanSession(signal);
 
                 // Hide stop button when showing result
                 document.getElementById("stop-view-logs-btn").style.display = "none";
 
-                // Vibrate success
-                vibrate([50, 100, 50]);
+                // Vibrate success (or no-match pattern when inconclusive)
+                vibrate(shouldDisplay.inconclusive ? [100, 50, 100] : [50, 100, 50]);
 
                 // Navigate to result page
-                Router.navigate('/scan/result', { state: shouldDisplay });
+                Router.navigate('/scan/result', { state: withCollection(shouldDisplay) });
 
-                // Clear history
-                scanHistory = [];
+                // Clear evidence
+                evidenceAccumulator.reset();
             } else {
-                // Continue scanning after interval
-                await new Promise((resolve) =>
-                    setTimeout(
-                        resolve,
-                        AUTO_SCAN_CONFIG.SCAN_INTERVAL -
-                            AUTO_SCAN_CONFIG.NUM_FRAMES *
-                                AUTO_SCAN_CONFIG.FRAME_DELAY
-                    )
+                // Start the next attempt SCAN_INTERVAL after this one started
+                // (right away when the attempt took longer)
+                await delay(
+                    Math.max(0, AUTO_SCAN_CONFIG.SCAN_INTERVAL - attemptDuration),
+                    signal
                 );
             }
         } catch (error) {
+            // Stopped or left the page (already logged as scan_aborted)
+            if (isAbortError(error)) break;
+
             console.error("Auto-scan error:", error);
-            // Continue scanning despite error
-            await new Promise((resolve) =>
-                setTimeout(resolve, AUTO_SCAN_CONFIG.SCAN_INTERVAL)
-            );
+            // Continue scanning despite error (unless aborted meanwhile)
+            await delay(AUTO_SCAN_CONFIG.SCAN_INTERVAL, signal).catch(() => {});
         }
     }
 
+    endScanSession(signal);
+
     console.log("⏸️  Auto-scan stopped");
 
     // Hide stop button when scanning naturally ends
     document.getElementById("stop-view-logs-btn").style.display = "none";
 }
 
-// Check scan history for confident match
-function checkForConfidentMatch() {
-    if (scanHistory.length === 0) return null;
+// Run the quality gate on a captured frame; rejections are logged with their metrics
+// Returns { ok, reasons } (see FrameQuality.assess)
+function checkFrameQuality(canvas, attemptNumber, frameNumber) {
+    if (!FRAME_QUALITY_CONFIG.ENABLED) return {ok: true, reasons: []};
 
-    const latestScan = scanHistory[scanHistory.length - 1];
+    const metrics = FrameQuality.analyze(canvas, FRAME_QUALITY_CONFIG.THRESHOLDS);
+    const verdict = FrameQuality.assess(metrics, FRAME_QUALITY_CONFIG.THRESHOLDS);
 
-    // Option 1: Perfect single scan (100% consensus, 5/5 frames, 25+ features)
-    if (latestScan.consensus === 100 && latestScan.matches >= 25) {
-        console.log("→ Perfect single scan detected");
-        return latestScan;
+    if (!verdict.ok) {
+        console.log(
+            `[Quality] Frame ${frameNumber} rejected: ${verdict.reasons.join(", ")}`
+        );
+        DiagnosticLogger.log("frame_rejected", {
+            attemptNumber: attemptNumber,
+            frameNumber: frameNumber,
+            reasons: verdict.reasons,
+            ...metrics,
+        });
     }
 
-    // Option 2: Consistent across multiple attempts
-    if (AUTO_SCAN_CONFIG.REQUIRE_CONSISTENCY && scanHistory.length >= 2) {
-        // Count occurrences of each president name
-        const nameCounts = new Map();
-        for (const scan of scanHistory) {
-            const count = nameCounts.get(scan.name) || 0;
-            nameCounts.set(scan.name, count + 1);
-        }
+    return verdict;
+}
 
-        // Find most frequent president
-        let maxCount = 0;
-        let mostFrequent = null;
-        for (const [name, count] of nameCounts.entries()) {
-            if (count > maxCount) {
-                maxCount = count;
-                mostFrequent = name;
-            }
-        }
+// Most frequent value in a list (first seen wins ties)
+function mostCommon(values) {
+    const counts = new Map();
+    let best = null;
+    for (const value of values) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+        if (best === null || counts.get(value) > counts.get(best)) best = value;
+    }
+    return best;
+}
 
-        // If same president detected in 2/3 of recent attempts with 80%+ consensus
-        const consistency = maxCount / scanHistory.length;
-        if (
-            consistency >= 0.67 &&
-            latestScan.name === mostFrequent &&
-            latestScan.consensus >= 80
-        ) {
-            console.log(
-                `→ Consistent match: ${mostFrequent} (${maxCount}/${scanHistory.length} attempts)`
-            );
-            return latestScan;
-        }
+// Canvases for frames in flight: the page's capture canvas plus extras
+// created on demand, one per pipeline slot
+const pipelineCanvases = [];
+function getPipelineCanvas(captureCanvas, frameIndex) {
+    const slot = frameIndex % AUTO_SCAN_CONFIG.PIPELINE_DEPTH;
+    if (slot === 0) return captureCanvas;
+    if (!pipelineCanvases[slot]) {
+        pipelineCanvases[slot] = document.createElement("canvas");
     }
+    return pipelineCanvases[slot];
+}
 
-    return null;
+// Multi-subject mode: display once every identified face is confirmed
+// (or after MAX_ATTEMPTS, with whichever faces are confirmed by then)
+function checkForConfidentSubjects(attemptCount, frameSize) {
+    const result = buildMultiSubjectResult(
+        frameSize,
+        attemptCount * AUTO_SCAN_CONFIG.NUM_FRAMES
+    );
+    if (!result) return null;
+
+    const pending = subjectTracker.getPending();
+    if (pending.length > 0 && attemptCount < MULTI_SUBJECT_CONFIG.MAX_ATTEMPTS) {
+        console.log(
+            `→ ${result.subjects.length} confirmed, waiting on ${pending.length} more`
+        );
+        return null;
+    }
+
+    console.log(`→ ${result.subjects.length} subjects confirmed`);
+    return result;
+}
+
+// President name(s) of a displayable result, for logs
+function describeScanResult(result) {
+    return result.multi
+        ? result.subjects.map((subject) => subject.name).join(", ")
+        : result.name;
+}
+
+// Sequential decision state for single-portrait auto-scan
+function createScanAccumulator() {
+    return createEvidenceAccumulator({
+        errorRate: SEQUENTIAL_CONFIG.ERROR_RATE,
+        minFrames: SEQUENTIAL_CONFIG.MIN_FRAMES,
+        maxFrames: SEQUENTIAL_CONFIG.MAX_FRAMES,
+        minEvidenceFrames: SEQUENTIAL_CONFIG.MIN_EVIDENCE_FRAMES,
+        hysteresis: SEQUENTIAL_CONFIG.HYSTERESIS,
+        maxLeaderChanges: SEQUENTIAL_CONFIG.MAX_LEADER_CHANGES,
+        trackedWeight: SEQUENTIAL_CONFIG.TRACKED_WEIGHT,
+    });
+}
+
+// Single-portrait mode: display once the accumulated evidence decides
+// Returns the result page state (a match or "inconclusive") or null to keep scanning
+function checkSequentialDecision(attemptCount) {
+    const evidence = evidenceAccumulator.getState();
+    if (evidence.status === "collecting") return null;
+
+    const ranking = evidenceAccumulator.getRanking();
+    DiagnosticLogger.log("sequential_decision", {
+        attemptNumber: attemptCount,
+        status: evidence.status,
+        reason: evidence.reason,
+        president: evidence.leader ? evidence.leader.name : null,
+        posterior: evidence.posterior,
+        frames: evidence.frames,
+        evidenceFrames: evidence.evidenceFrames,
+        leaderChanges: evidence.leaderChanges,
+        ranking: ranking.slice(0, 3).map((entry) => ({
+            name: entry.name,
+            posterior: entry.posterior,
+            votes: entry.votes,
+        })),
+    });
+
+    // Nothing identified in the whole window (no portrait in view): start over
+    if (evidence.status === "empty") {
+        console.log("→ No evidence, starting over");
+        evidenceAccumulator.reset();
+        return null;
+    }
+
+    if (evidence.status === "inconclusive") {
+        return {
+            inconclusive: true,
+            topCandidates: ranking.slice(0, 2).map((entry) => ({
+                name: entry.name,
+                voteCount: entry.votes,
+                avgProbability: entry.avgProbability,
+            })),
+            voteCount: ranking[0].votes,
+            totalFrames: evidence.evidenceFrames,
+            reason: evidence.reason,
+        };
+    }
+
+    const leader = evidence.leader;
+    const best = leader.bestResult;
+    console.log(
+        `→ Decided: ${leader.name} (posterior ${evidence.posterior.toFixed(3)} after ${evidence.frames} frames)`
+    );
+
+    return {
+        id: leader.candidate.id,
+        name: leader.name,
+        description: leader.candidate.description,
+        url: leader.candidate.url,
+        method: best.recognizer,
+        methodLabel: best.label,
+        probability: evidence.posterior,
+        avgProbability: leader.avgProbability,
+        bestScore: best.score,
+        details: best.details,
+        voteCount: leader.votes,
+        totalFrames: evidence.evidenceFrames,
+        consensus: Math.round((leader.votes / evidence.evidenceFrames) * 100),
+        framesToDecision: evidence.frames,
+    };
 }
 
-// Stop continuous scanning
-function stopContinuousScanning() {
+// Stop continuous scanning, aborting the frames in flight
+// reason: logged with scan_aborted ("stopped", "upload", "route_left", ...)
+function stopContinuousScanning(reason = "stopped") {
     scanningActive = false;
-    scanHistory = [];
+    abortScan(reason);
+    if (evidenceAccumulator) evidenceAccumulator.reset();
     console.log("⏹️  Auto-scan stopped by user");
 }
 
 // Aggregate results from multiple frames using weighted voting
+// frameResults are accepted recognizer results (see recognizePresident)
 function aggregateFrameResults(frameResults) {
     if (frameResults.length === 0) return null;
 
     const CONSENSUS_THRESHOLD = 0.8; // Require 80% agreement (4/5 frames) - increased for auto-scan
     const TIE_MARGIN = 1; // Consider it a tie if within 1 vote
-    const MIN_MATCH_QUALITY = 8; // Increased from 5 for stricter tie detection
+    const MIN_PROBABILITY_GAP = 0.1; // Avg probability gap that still breaks a tie
 
     // Count votes for each president
     const votes = new Map();
 
     for (const result of frameResults) {
-        if (!votes.has(result.name)) {
-            votes.set(result.name, {
-                name: result.name,
-                description: result.description,
-                url: result.url,
+        const candidate = result.candidate;
+        if (!votes.has(candidate.id)) {
+            votes.set(candidate.id, {
+                id: candidate.id,
+                name: candidate.name,
+                description: candidate.description,
+                url: candidate.url,
                 voteCount: 0,
-                totalMatches: 0,
-                maxMatches: 0,
+                totalProbability: 0,
+                maxProbability: 0,
+                bestResult: null,
                 frameCount: 0,
             });
         }
 
-        const president = votes.get(result.name);
+        const president = votes.get(candidate.id);
         president.voteCount++;
-        president.totalMatches += result.matches;
-        president.maxMatches = Math.max(president.maxMatches, result.matches);
+        president.totalProbability += result.probability;
+        if (result.probability >= president.maxProbability) {
+            president.maxProbability = result.probability;
+            president.bestResult = result;
+        }
         president.frameCount++;
     }
 
     // Calculate weighted scores and sort candidates
     const candidates = Array.from(votes.values())
         .map((president) => {
-            const avgMatches = president.totalMatches / president.frameCount;
-            // Weighted score: votes (primary) + avg matches (secondary) + max matches (tiebreaker)
+            const avgProbability =
+                president.totalProbability / president.frameCount;
+            // Weighted score: votes (primary) + avg probability (secondary) + max probability (tiebreaker)
             const score =
                 president.voteCount * 100 +
-                avgMatches * 0.5 +
-                president.maxMatches * 0.1;
+                avgProbability * 50 +
+                president.maxProbability * 10;
             return {
                 ...president,
-                avgMatches: Math.round(avgMatches),
+                avgProbability: avgProbability,
                 score: score,
                 consensus: president.voteCount / frameResults.length,
             };
@@ -1288,11 +2724,11 @@ function aggregateFrameResults(frameResults) {
         runnerUp &&
         Math.abs(winner.voteCount - runnerUp.voteCount) <= TIE_MARGIN
     ) {
-        // Use match quality as tiebreaker
-        const qualityDiff = winner.avgMatches - runnerUp.avgMatches;
+        // Use match probability as tiebreaker
+        const probabilityGap = winner.avgProbability - runnerUp.avgProbability;
 
-        // If match quality is also very close (within MIN_MATCH_QUALITY features), it's inconclusive
-        if (Math.abs(qualityDiff) < MIN_MATCH_QUALITY) {
+        // If probabilities are also very close, it's inconclusive
+        if (Math.abs(probabilityGap) < MIN_PROBABILITY_GAP) {
             return {
                 inconclusive: true,
                 topCandidates: [winner, runnerUp],
@@ -1301,16 +2737,26 @@ function aggregateFrameResults(frameResults) {
                 reason: "tie",
             };
         }
-        // Otherwise, winner is determined by quality tiebreaker (continue below)
+        // Otherwise, winner is determined by probability tiebreaker (continue below)
     }
 
     // Clear winner - return result
+    const best = winner.bestResult;
     return {
+        id: winner.id,
         name: winner.name,
         description: winner.description,
         url: winner.url,
-        matches: winner.maxMatches,
-        avgMatches: winner.avgMatches,
+        method: best.recognizer,
+        methodLabel: best.label,
+        probability: winner.maxProbability,
+        avgProbability: winner.avgProbability,
+        bestScore: best.score,
+        details: best.details,
+        // Frames where fusion saw the layers accept different presidents
+        disagreements: frameResults.filter(
+            (result) => result.details && result.details.disagreement
+        ).length,
         voteCount: winner.voteCount,
         totalFrames: frameResults.length,
         consensus: Math.round(winner.consensus * 100),
@@ -1412,6 +2858,7 @@ function showToast(message, isError = false) {
 function stopAndViewLogs() {
     // Stop scanning
     scanningActive = false;
+    abortScan("view_logs");
     console.log("[Diagnostic] Scanning stopped by user to view logs");
 
     // Hide stop button
@@ -1458,46 +2905,150 @@ function closeLogsModal() {
 
 // Note: closeResult() removed - result is now a separate route page
 
-// Process uploaded file
-function processUploadedFile(file) {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        const img = new Image();
-        img.onload = () => {
-            updateStatus("⏳ Processing uploaded image...", "loading");
+// Uploaded images go through the same pipeline as camera frames
+// (rectification, per-layer resizing, every configured layer)
+const UPLOAD_CONFIG = {
+    THUMBNAIL_SIZE: 96, // px, longest side of the preview shown in batch results
+};
 
-            const statusEl = document.getElementById("status-overlay");
-            statusEl.style.opacity = "1";
+let uploadInProgress = false;
 
-            setTimeout(() => {
-                try {
-                    const features = extractORBFeatures(img);
-                    console.log(
-                        `Uploaded image: ${features.keypoints.size()} keypoints`
-                    );
+// Process uploaded files (file picker, drag-and-drop or paste)
+// One file shows the usual result page; several show a per-file list
+async function processUploadedFiles(fileList) {
+    const files = Array.from(fileList).filter((file) =>
+        file.type.startsWith("image/")
+    );
+    if (files.length === 0) {
+        updateStatus("✗ No image files to process", "error");
+        return;
+    }
 
-                    const match = matchImage(features.descriptors);
+    if (uploadInProgress) {
+        showToast("Still processing the previous upload", true);
+        return;
+    }
 
-                    features.keypoints.delete();
-                    features.descriptors.delete();
+    const pipeline = RecognizerRegistry.buildPipeline(
+        RECOGNITION_PIPELINE_CONFIG.LAYERS
+    );
+    if (!pipeline.some((recognizer) => recognizer.isReady())) {
+        updateStatus("⏳ Models still loading, try again in a moment", "loading");
+        return;
+    }
 
-                    Router.navigate('/scan/result', { state: match });
+    // Uploads replace live scanning
+    if (scanningActive) stopContinuousScanning("upload");
 
-                    if (match && match.matches >= 15) {
-                        vibrate([50, 100, 50]);
-                    } else {
-                        vibrate([100, 50, 100]);
-                    }
-                } catch (error) {
-                    console.error("Processing error:", error);
-                    updateStatus(`✗ Error: ${error.message}`, "error");
-                    vibrate(200);
-                }
-            }, 100);
-        };
-        img.src = e.target.result;
-    };
-    reader.readAsDataURL(file);
+    uploadInProgress = true;
+    const signal = beginScanSession("upload");
+    const batchStart = Date.now();
+    const statusEl = document.getElementById("status-overlay");
+    statusEl.style.opacity = "1";
+
+    try {
+        const results = [];
+
+        for (let i = 0; i < files.length; i++) {
+            updateStatus(
+                files.length > 1
+                    ? `⏳ Processing image ${i + 1}/${files.length}...`
+                    : "⏳ Processing uploaded image...",
+                "loading"
+            );
+            results.push(await recognizeUploadedFile(files[i], signal));
+        }
+
+        const matched = results.filter((result) => !result.noMatch && !result.error).length;
+
+        DiagnosticLogger.log("upload_processed", {
+            files: files.length,
+            matched: matched,
+            failed: results.filter((result) => result.error).length,
+            totalDuration: Date.now() - batchStart,
+        });
+
+        const state =
+            results.length === 1
+                ? results[0]
+                : {batch: true, results: results, matched: matched};
+
+        endScanSession(signal);
+        Router.navigate("/scan/result", {state: withCollection(state)});
+
+        if (matched > 0) {
+            vibrate([50, 100, 50]);
+        } else {
+            vibrate([100, 50, 100]);
+        }
+    } catch (error) {
+        if (isAbortError(error)) return;
+
+        endScanSession(signal);
+        console.error("Processing error:", error);
+        updateStatus(`✗ Error: ${error.message}`, "error");
+        vibrate(200);
+    } finally {
+        uploadInProgress = false;
+    }
+}
+
+// Recognize one uploaded image
+// Returns the result page state for it, tagged with the file name
+async function recognizeUploadedFile(file, signal = null) {
+    const url = URL.createObjectURL(file);
+    const upload = {fileName: file.name};
+
+    try {
+        const img = await loadImage(url);
+
+        const canvas = document.createElement("canvas");
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        canvas.getContext("2d").drawImage(img, 0, 0);
+        upload.thumbnail = createThumbnail(canvas);
+
+        const result = await recognizePresident(canvas, signal);
+
+        // Accepted single-image result uses the same state shape as a scan
+        return result && result.accepted
+            ? {...upload, ...aggregateFrameResults([result])}
+            : {
+                  ...upload,
+                  noMatch: true,
+                  bestCandidate: result?.candidate?.name || null,
+                  probability: result ? result.probability : 0,
+              };
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error(`[Upload] ${file.name} failed:`, error);
+        return {...upload, noMatch: true, error: error.message};
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Small JPEG preview of an uploaded image (kept in router state)
+function createThumbnail(canvas) {
+    const scale = Math.min(
+        1,
+        UPLOAD_CONFIG.THUMBNAIL_SIZE / Math.max(canvas.width, canvas.height)
+    );
+    const thumbnail = document.createElement("canvas");
+    thumbnail.width = Math.max(1, Math.round(canvas.width * scale));
+    thumbnail.height = Math.max(1, Math.round(canvas.height * scale));
+    thumbnail.getContext("2d").drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+    return thumbnail.toDataURL("image/jpeg", 0.7);
+}
+
+// Paste images from the clipboard while the scanner is open
+function handlePaste(e) {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (files.length === 0) return;
+
+    e.preventDefault();
+    document.getElementById("permission-prompt").style.display = "none";
+    processUploadedFiles(files);
 }
 
 // ============================================================================
@@ -1512,12 +3063,26 @@ window.initScannerPage = function() {
     setupEventListeners();
 
     // If OpenCV is already ready and we have reference data, start camera
+    // (after reloading it if another collection was picked in the meantime)
     if (opencvReady && referenceData.length > 0) {
-        console.log('[Scanner] OpenCV already ready, starting camera');
-        updateStatus(`✓ Ready! ${referenceData.length} presidents loaded.`, "success");
-        setTimeout(() => {
-            requestCameraAccess();
-        }, 500);
+        updateStatus("⏳ Loading collection...", "loading");
+        switchCollection()
+            .then((switched) => {
+                // Left the scanner while the collection was loading
+                if (Router.getCurrentRoute()?.path !== "/scan") return;
+
+                console.log(
+                    `[Scanner] OpenCV already ready${switched ? " (collection switched)" : ""}, starting camera`
+                );
+                updateStatus(readyMessage(), "success");
+                setTimeout(() => {
+                    requestCameraAccess();
+                }, 500);
+            })
+            .catch((error) => {
+                console.error("Error switching collection:", error);
+                updateStatus(`✗ Error loading collection: ${error.message}`, "error");
+            });
     } else {
         // Show loading status
         updateStatus("⏳ Loading OpenCV.js...", "loading");
@@ -1552,20 +3117,56 @@ function setupEventListeners() {
     const fileUpload = document.getElementById("file-upload");
     if (fileUpload) {
         fileUpload.addEventListener("change", (e) => {
-            const file = e.target.files[0];
-            if (file) {
+            const files = Array.from(e.target.files);
+            e.target.value = ""; // Allow picking the same files again
+            if (files.length > 0) {
+                document.getElementById("permission-prompt").style.display = "none";
+                processUploadedFiles(files);
+            }
+        });
+    }
+
+    // Drag-and-drop images onto the scanner
+    const scannerPage = document.getElementById("scanner-page");
+    if (scannerPage) {
+        scannerPage.addEventListener("dragover", (e) => {
+            e.preventDefault();
+            scannerPage.classList.add("drag-over");
+        });
+        scannerPage.addEventListener("dragleave", (e) => {
+            if (!scannerPage.contains(e.relatedTarget)) {
+                scannerPage.classList.remove("drag-over");
+            }
+        });
+        scannerPage.addEventListener("drop", (e) => {
+            e.preventDefault();
+            scannerPage.classList.remove("drag-over");
+            if (e.dataTransfer.files.length > 0) {
                 document.getElementById("permission-prompt").style.display = "none";
-                processUploadedFile(file);
+                processUploadedFiles(e.dataTransfer.files);
             }
         });
     }
 
+    // Paste images from the clipboard (removed again in cleanupScannerPage)
+    document.addEventListener("paste", handlePaste);
+
     // Stop & View Logs button
     const stopViewLogsBtn = document.getElementById("stop-view-logs-btn");
     if (stopViewLogsBtn) {
         stopViewLogsBtn.addEventListener("click", stopAndViewLogs);
     }
 
+    // Single / multi-subject mode toggle
+    const multiSubjectBtn = document.getElementById("multi-subject-btn");
+    if (multiSubjectBtn) {
+        updateMultiSubjectButton(multiSubjectBtn);
+        multiSubjectBtn.addEventListener("click", () => {
+            toggleMultiSubjectMode();
+            updateMultiSubjectButton(multiSubjectBtn);
+        });
+    }
+
     // Logs modal buttons (if logs modal exists in scanner template)
     const closeLogsBtn = document.getElementById("close-logs-btn");
     if (closeLogsBtn) {
@@ -1583,14 +3184,36 @@ function setupEventListeners() {
     }
 }
 
+// Switch between single and multi-subject mode
+// Evidence gathered in one mode does not carry over to the other
+function toggleMultiSubjectMode() {
+    multiSubjectMode = !multiSubjectMode;
+    subjectTracker = createMultiSubjectTracker();
+    evidenceAccumulator = createScanAccumulator();
+
+    DiagnosticLogger.log("multi_subject_mode", {enabled: multiSubjectMode});
+    updateStatus(
+        multiSubjectMode
+            ? "👥 Multi-portrait mode: identifying every face"
+            : "🔍 Single-portrait mode",
+        "info"
+    );
+}
+
+function updateMultiSubjectButton(button) {
+    button.textContent = multiSubjectMode ? "👥 All Portraits" : "👤 One Portrait";
+    button.classList.toggle("active", multiSubjectMode);
+}
+
 // Cleanup scanner page (called by router onLeave)
 window.cleanupScannerPage = function() {
     console.log('[Scanner] Cleaning up');
 
-    // Stop scanning
+    // Stop scanning and abandon any capture or upload still in progress
     if (scanningActive) {
-        stopContinuousScanning();
+        stopContinuousScanning("route_left");
     }
+    abortScan("route_left");
 
     // Stop camera stream
     if (stream) {
@@ -1598,9 +3221,53 @@ window.cleanupScannerPage = function() {
         stream = null;
     }
 
-    // Clear scan history
-    scanHistory = [];
+    document.removeEventListener("paste", handlePaste);
+
+    // Clear accumulated evidence
+    if (evidenceAccumulator) evidenceAccumulator.reset();
+    if (subjectTracker) subjectTracker.reset();
 };
 
-// Initialize
+// Fitted score → probability curves of the active collection
+// (see utils/generate-calibration.html)
+async function loadCalibration() {
+    try {
+        await loadCollection();
+        loadedCollections.calibration = collection.id;
+
+        // Curves fitted for another collection do not apply to this one
+        Calibration.reset();
+        const calibrationUrl = collectionDataUrl("calibration");
+        if (!calibrationUrl) {
+            // Not fitted yet (data.calibration is null): nothing to fetch
+            console.log(`[Calibration] ${collection.name} has no fitted curves, using defaults`);
+            DiagnosticLogger.log("calibration_loaded", {
+                collection: collection.id,
+                generated: null,
+            });
+            return;
+        }
+
+        const data = await Calibration.load(calibrationUrl);
+        DiagnosticLogger.log("calibration_loaded", {
+            collection: collection.id,
+            generated: data.generated,
+            models: data.models,
+        });
+    } catch (error) {
+        console.warn("[Calibration] Using default curves:", error.message);
+        DiagnosticLogger.log("calibration_loaded", {
+            collection: collection ? collection.id : null,
+            generated: null,
+            error: error.message,
+        });
+    }
+}
+
+// Initialize: OpenCV.js loads in the worker while face-api.js loads here
+loadCalibration();
+CvWorker.start();
+loadFaceApi().catch((err) => {
+    console.warn("[Face API] Will use ORB-only mode:", err);
+});
 console.log("Scanner module loaded. Waiting for OpenCV.js...");
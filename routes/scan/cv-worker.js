@@ -0,0 +1,711 @@
+// OpenCV Worker
+// Owns OpenCV.js, the reference descriptor set and local feature
+// extraction/matching (ORB, AKAZE, BRISK - see feature-types.js) so Layer 2
+// never blocks the main thread (video preview, status overlay).
+// Every OpenCV object is allocated in a MatScope (mat-scope.js) that frees it.
+//
+// Protocol (see CvWorker in controller.js):
+//   main → worker: { id, type: "init" | "match" | "rectify" | "memory", payload }
+//   worker → main: { id, result } | { id, error }
+//   worker → main: { type: "ready", supportsImageBitmap } once OpenCV is loaded
+
+let cv = null;
+let referenceData = [];
+let featureGroups = []; // References by feature configuration: [{ key, feature, illumination, references }]
+let orbIndex = null; // OrbIndex over all ORB reference descriptors (null = brute force)
+let referenceScope = null; // Owns the reference descriptor Mats until the next "init"
+let passes = 0; // "match" / "rectify" requests handled (heap diagnostics)
+
+// Settings sent by the main thread with "init"
+let orbFeatures = 500; // ORB keypoints per frame (other feature types use the references' params)
+let matchConfig = null;
+let illuminationConfig = {ENABLED: true, OVERRIDE: null};
+
+// "init" can arrive before OpenCV finishes loading
+let resolveOpenCvReady;
+const openCvReady = new Promise((resolve) => {
+    resolveOpenCvReady = resolve;
+});
+
+function onOpenCvReady() {
+    cv = self.cv;
+    console.log("[CV Worker] OpenCV.js loaded");
+    resolveOpenCvReady();
+    self.postMessage({
+        type: "ready",
+        supportsImageBitmap: typeof OffscreenCanvas !== "undefined",
+    });
+}
+
+importScripts(
+    "../../lib/opencv.js",
+    "mat-scope.js",
+    "orb-index.js",
+    "feature-types.js",
+    "illumination.js"
+);
+
+// The WASM runtime initializes asynchronously after the script has loaded
+if (self.cv.Mat) {
+    onOpenCvReady();
+} else {
+    self.cv.onRuntimeInitialized = onOpenCvReady;
+}
+
+// ============================================================================
+// MESSAGE HANDLING
+// ============================================================================
+
+const handlers = {
+    // Load reference descriptors (and their index, if any); resolves to their
+    // metadata (no descriptor data)
+    async init({descriptorsUrl, indexUrl, features, config, illumination}) {
+        orbFeatures = features;
+        matchConfig = config;
+        if (illumination) illuminationConfig = illumination;
+
+        await openCvReady;
+
+        const response = await fetch(descriptorsUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${descriptorsUrl}`);
+        }
+        const artworks = await response.json();
+        deserializeDescriptors(artworks);
+        orbIndex = await loadIndex(
+            indexUrl,
+            artworks.map((item) => item.descriptors)
+        );
+
+        return referenceData.map((ref) => ({
+            id: ref.id,
+            name: ref.name,
+            description: ref.description,
+            url: ref.url,
+            verified: ref.keypoints.length > 0,
+            feature: ref.feature.type,
+            signature: ref.signature,
+        }));
+    },
+
+    // Extract features from a frame and match them against the references
+    // Each feature configuration (and illumination preprocessing) in the
+    // reference set is extracted once and matched against the references
+    // generated with it.
+    // frame.allCandidates: report every reference's score, bypassing the index
+    // (calibration tool); otherwise only the best few are reported
+    // frame.features: ORB keypoints to extract (performance tier), default from "init"
+    // frame.shortlist: reference ids to consider (Layer 0 prefilter), null = all
+    async match(frame) {
+        await openCvReady;
+        passes++;
+
+        const shortlist = frame.allCandidates ? null : frame.shortlist;
+        let best = null;
+        let candidates = [];
+        let keypointCount = 0;
+        let shortlisted = 0;
+        let extractDuration = 0;
+        let matchDuration = 0;
+
+        // Everything allocated for this frame is freed with the scope
+        MatScope.run((scope) => {
+            const src = readFrame(frame, scope);
+            const grayFrames = new Map(); // Illumination key → preprocessed grayscale frame
+
+            for (const group of featureGroups) {
+                // Nothing in this group survived the prefilter: skip its extraction
+                if (shortlist && !group.references.some((ref) => shortlist.includes(ref.id))) {
+                    continue;
+                }
+
+                const extractStart = Date.now();
+                const illumination = frameIllumination(group.illumination);
+                const illuminationKey = Illumination.key(illumination);
+                if (!grayFrames.has(illuminationKey)) {
+                    grayFrames.set(illuminationKey, toGray(src, illumination, scope));
+                }
+                const gray = grayFrames.get(illuminationKey);
+                const features = extractFrameFeatures(gray, group.feature, frame.features, scope);
+                extractDuration += Date.now() - extractStart;
+
+                const matchStart = Date.now();
+                keypointCount += features.keypoints.size();
+                if (features.descriptors.rows > 0) {
+                    const references = selectReferences(
+                        group,
+                        features.descriptors,
+                        frame.allCandidates,
+                        shortlist
+                    );
+                    const result = matchImage(features.descriptors, features.keypoints, references);
+                    shortlisted += references.length;
+                    candidates = candidates.concat(result.candidates);
+                    if (result.best && (!best || result.best.matches > best.matches)) {
+                        best = {...result.best, illumination: illuminationKey};
+                    }
+                }
+                matchDuration += Date.now() - matchStart;
+            }
+        });
+
+        if (!best) return null;
+
+        // Every reference's score (calibration), otherwise the best few (fusion)
+        candidates.sort((a, b) => b.matches - a.matches);
+
+        return {
+            ...best,
+            candidates: frame.allCandidates
+                ? candidates
+                : candidates.slice(0, matchConfig.SHORTLIST_SIZE),
+            shortlisted: shortlisted,
+            indexed: !!orbIndex && !frame.allCandidates && !shortlist,
+            prefiltered: !!shortlist,
+            keypoints: keypointCount,
+            extractDuration: extractDuration,
+            matchDuration: matchDuration,
+        };
+    },
+
+    // Find the painting outline and warp it to a fronto-parallel crop
+    // Resolves to { quad, areaRatio, width, height, buffer } (RGBA pixels) or
+    // null when no plausible quadrilateral is found
+    async rectify(frame) {
+        await openCvReady;
+        passes++;
+
+        return MatScope.run((scope) => {
+            const src = readFrame(frame, scope);
+            const found = findPaintingQuad(src, frame.config);
+            if (!found) return null;
+
+            return {
+                ...warpQuad(src, found.quad, frame.config.MAX_OUTPUT_SIZE),
+                quad: found.quad,
+                areaRatio: found.areaRatio,
+            };
+        });
+    },
+
+    // WASM heap size and OpenCV object counts, for the periodic heap log
+    // (the heap only grows: steady growth across passes means a leak)
+    async memory() {
+        await openCvReady;
+
+        return {
+            heapBytes: cv.HEAP8 ? cv.HEAP8.length : null,
+            passes: passes,
+            references: referenceData.length,
+            ...MatScope.stats(),
+        };
+    },
+};
+
+self.onmessage = async (e) => {
+    const {id, type, payload} = e.data;
+    const handler = handlers[type];
+    const startTime = Date.now();
+
+    try {
+        if (!handler) throw new Error(`Unknown message type: ${type}`);
+        const result = await handler(payload);
+        // Pixel buffers (rectified frames) are transferred back, not copied
+        const transfer =
+            result && result.buffer instanceof ArrayBuffer ? [result.buffer] : [];
+        // duration: time spent on the request here (the rest of the round trip
+        // is waiting behind earlier requests)
+        self.postMessage({id, result, duration: Date.now() - startTime}, transfer);
+    } catch (error) {
+        console.error(`[CV Worker] ${type} failed:`, error);
+        self.postMessage({id, error: error.message || String(error)});
+    }
+};
+
+// ============================================================================
+// FEATURE MATCHING
+// ============================================================================
+
+// Deserialize pre-computed descriptors (no image processing needed!)
+function deserializeDescriptors(artworks) {
+    if (referenceScope) referenceScope.release();
+    referenceScope = MatScope.create();
+    referenceData = [];
+
+    for (const item of artworks) {
+        // Deserialize descriptors from JSON
+        const descriptorObj = item.descriptors;
+        const mat = referenceScope.track(
+            new cv.Mat(descriptorObj.rows, descriptorObj.cols, descriptorObj.type)
+        );
+        mat.data.set(descriptorObj.data);
+
+        referenceData.push({
+            id: item.id,
+            // Display fields are only present in older files: the scanner
+            // takes them from the collection manifest by id
+            name: item.name,
+            description: item.description,
+            url: item.url,
+            // How the descriptors were extracted (older files: ORB defaults,
+            // no illumination preprocessing)
+            feature: FeatureTypes.normalize(item.feature),
+            illumination: Illumination.normalize(item.illumination),
+            featureKey: `${FeatureTypes.key(item.feature)}|${Illumination.key(item.illumination)}`,
+            // Global signature for the Layer 0 prefilter (null in older files)
+            signature: item.signature || null,
+            descriptors: mat,
+            // [x, y] per descriptor row - used for homography verification.
+            // Older descriptors.json files have none; those references fall
+            // back to unverified ratio-test counts.
+            keypoints: item.keypoints || [],
+            width: item.width || 0,
+            height: item.height || 0,
+        });
+    }
+
+    // One extraction per feature configuration per frame
+    const groups = new Map();
+    for (const ref of referenceData) {
+        if (!groups.has(ref.featureKey)) {
+            groups.set(ref.featureKey, {
+                key: ref.featureKey,
+                feature: ref.feature,
+                illumination: ref.illumination,
+                references: [],
+            });
+        }
+        groups.get(ref.featureKey).references.push(ref);
+    }
+    featureGroups = Array.from(groups.values());
+
+    console.log(
+        `[CV Worker] ✓ Deserialized ${referenceData.length} references ` +
+            `(${featureGroups.map((group) => group.key).join("; ")})`
+    );
+}
+
+// Convert a transferred frame to an RGBA Mat (tracked in scope)
+// frame: { bitmap } (ImageBitmap) or { width, height, buffer } (RGBA pixels)
+function readFrame(frame, scope) {
+    let imageData;
+
+    if (frame.bitmap) {
+        const {width, height} = frame.bitmap;
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(frame.bitmap, 0, 0);
+        frame.bitmap.close();
+        imageData = ctx.getImageData(0, 0, width, height);
+    } else {
+        imageData = new ImageData(
+            new Uint8ClampedArray(frame.buffer),
+            frame.width,
+            frame.height
+        );
+    }
+
+    return scope.track(cv.matFromImageData(imageData));
+}
+
+// Illumination stages to apply to the frame for a reference group: the ones
+// its references were generated with, unless overridden or switched off
+function frameIllumination(recorded) {
+    if (!illuminationConfig.ENABLED) return null;
+    return illuminationConfig.OVERRIDE ?? recorded;
+}
+
+// Grayscale copy of an RGBA frame (tracked in scope), after illumination normalization
+function toGray(src, illumination, scope) {
+    const gray = scope.track(new cv.Mat());
+
+    if (!Illumination.isEnabled(illumination)) {
+        cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+        return gray;
+    }
+
+    // The normalized color copy is only needed until the conversion
+    MatScope.run((inner) => {
+        const normalized = inner.track(src.clone());
+        Illumination.apply(
+            {width: normalized.cols, height: normalized.rows, data: normalized.data},
+            illumination
+        );
+        cv.cvtColor(normalized, gray, cv.COLOR_RGBA2GRAY);
+    });
+    return gray;
+}
+
+// Extract features of a reference group's type from a grayscale frame
+// ORB keeps the frame's own keypoint budget (performance tier); other types
+// use the parameters the references were generated with
+// Returns { keypoints, descriptors } (tracked in scope)
+function extractFrameFeatures(gray, feature, frameOrbFeatures, scope) {
+    if (feature.type === "orb") {
+        feature = {
+            type: "orb",
+            params: {...feature.params, nfeatures: frameOrbFeatures || orbFeatures},
+        };
+    }
+    const features = FeatureTypes.extract(cv, gray, feature);
+    scope.track(features.keypoints);
+    scope.track(features.descriptors);
+    return features;
+}
+
+// Load the offline index built next to descriptors.json. Without one (or if
+// it is stale) large catalogs get an index built here. Small catalogs are
+// always brute-forced, even with an index file: matching every reference is
+// cheap there, and the shortlist could drop the true one.
+async function loadIndex(indexUrl, descriptorSets) {
+    if (descriptorSets.length < matchConfig.INDEX_MIN_REFERENCES) {
+        console.log(`[CV Worker] ${descriptorSets.length} references: matching all, no index`);
+        return null;
+    }
+
+    if (indexUrl) {
+        try {
+            const response = await fetch(indexUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const index = OrbIndex.deserialize(await response.json(), descriptorSets);
+            console.log(`[CV Worker] ✓ Loaded descriptor index (${index.owner.length} descriptors)`);
+            return index;
+        } catch (error) {
+            console.warn(`[CV Worker] No usable descriptor index: ${error.message}`);
+        }
+    }
+
+    const startTime = Date.now();
+    const index = OrbIndex.build(descriptorSets);
+    console.log(`[CV Worker] Built descriptor index in ${Date.now() - startTime}ms`);
+    return index;
+}
+
+// References of a feature group worth matching in full: the index shortlist
+// (ORB only - the index is built over 256-bit descriptors), or all of them,
+// limited to the prefilter's shortlist (reference ids) when there is one
+function selectReferences(group, capturedDescriptors, allCandidates, prefiltered) {
+    if (allCandidates) return group.references;
+
+    const allowed = prefiltered ? new Set(prefiltered) : null;
+    const references = allowed
+        ? group.references.filter((ref) => allowed.has(ref.id))
+        : group.references;
+
+    // A prefiltered shortlist is already small: match it in full
+    if (!orbIndex || allowed || group.feature.type !== "orb") {
+        return references;
+    }
+
+    return OrbIndex.shortlist(
+        orbIndex,
+        capturedDescriptors.data,
+        capturedDescriptors.rows,
+        {
+            size: matchConfig.SHORTLIST_SIZE,
+            maxDistance: matchConfig.INDEX_MAX_DISTANCE,
+        }
+    )
+        .map((entry) => referenceData[entry.reference])
+        .filter((ref) => ref.featureKey === group.key);
+}
+
+// Match captured features against reference images (all binary descriptors,
+// so Hamming distance for every feature type)
+// Ratio-test survivors are verified with a RANSAC homography between reference
+// and captured keypoints; only inliers count towards the score.
+// Returns { best, candidates } - best is null when nothing matched
+function matchImage(capturedDescriptors, capturedKeypoints, references) {
+    const candidates = [];
+    let bestMatch = null;
+    let bestScore = 0;
+
+    MatScope.run((scope) => {
+        const matcher = scope.track(new cv.BFMatcher(cv.NORM_HAMMING, false));
+
+        for (const ref of references) {
+            if (ref.descriptors.empty()) continue;
+
+            const goodMatches = ratioTestMatches(matcher, capturedDescriptors, ref.descriptors);
+
+            // Geometric verification (null = reference has no stored keypoints)
+            const verification = verifyHomography(
+                goodMatches,
+                capturedKeypoints,
+                ref
+            );
+            const score = verification ? verification.inliers : goodMatches.length;
+
+            candidates.push({id: ref.id, name: ref.name, url: ref.url, matches: score});
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestMatch = {
+                    id: ref.id,
+                    name: ref.name,
+                    description: ref.description,
+                    url: ref.url,
+                    matches: score,
+                    goodMatches: goodMatches.length,
+                    inliers: verification ? verification.inliers : null,
+                    quad: verification ? verification.quad : null,
+                    verified: !!verification,
+                    feature: ref.feature.type,
+                };
+            }
+        }
+    });
+
+    return {best: bestMatch, candidates};
+}
+
+// Apply Lowe's ratio test to the two nearest reference descriptors of each
+// captured descriptor. Returns [{ queryIdx, trainIdx }]
+function ratioTestMatches(matcher, capturedDescriptors, refDescriptors) {
+    return MatScope.run((scope) => {
+        const matches = scope.track(new cv.DMatchVectorVector());
+        matcher.knnMatch(capturedDescriptors, refDescriptors, matches, 2);
+
+        const goodMatches = [];
+        for (let i = 0; i < matches.size(); i++) {
+            // get() copies the inner vector onto the WASM heap
+            const match = scope.track(matches.get(i));
+            if (match.size() >= 2) {
+                const m1 = match.get(0);
+                const m2 = match.get(1);
+                if (m1.distance < matchConfig.RATIO_TEST * m2.distance) {
+                    goodMatches.push({
+                        queryIdx: m1.queryIdx,
+                        trainIdx: m1.trainIdx,
+                    });
+                }
+            }
+        }
+
+        return goodMatches;
+    });
+}
+
+// Estimate a reference → captured homography with RANSAC and count inliers.
+// Returns null when the reference cannot be verified (no stored keypoints),
+// otherwise { inliers, quad } where quad is the reference outline projected
+// into the captured frame (0 inliers / null quad if no plausible homography).
+function verifyHomography(goodMatches, capturedKeypoints, ref) {
+    if (!capturedKeypoints || ref.keypoints.length === 0) return null;
+
+    const rejected = {inliers: 0, quad: null};
+    if (goodMatches.length < matchConfig.MIN_GOOD_MATCHES) return rejected;
+
+    const refPoints = [];
+    const capturedPoints = [];
+    for (const m of goodMatches) {
+        const refPoint = ref.keypoints[m.trainIdx];
+        if (!refPoint) continue;
+        const capturedPoint = capturedKeypoints.get(m.queryIdx).pt;
+        refPoints.push(refPoint[0], refPoint[1]);
+        capturedPoints.push(capturedPoint.x, capturedPoint.y);
+    }
+
+    const pointCount = refPoints.length / 2;
+    if (pointCount < matchConfig.MIN_GOOD_MATCHES) return rejected;
+
+    return MatScope.run((scope) => {
+        const srcMat = scope.track(cv.matFromArray(pointCount, 1, cv.CV_32FC2, refPoints));
+        const dstMat = scope.track(cv.matFromArray(pointCount, 1, cv.CV_32FC2, capturedPoints));
+        const mask = scope.track(new cv.Mat());
+        const homography = scope.track(
+            cv.findHomography(
+                srcMat,
+                dstMat,
+                cv.RANSAC,
+                matchConfig.RANSAC_REPROJ_THRESHOLD,
+                mask
+            )
+        );
+
+        if (homography.empty()) return rejected;
+
+        // A homography that folds or collapses the reference is a false match
+        const quad = projectReferenceQuad(homography.data64F, ref);
+        if (!quad) return rejected;
+
+        let inliers = 0;
+        for (let i = 0; i < mask.rows; i++) {
+            if (mask.data[i]) inliers++;
+        }
+
+        return {inliers, quad};
+    });
+}
+
+// Project the reference image corners through homography h (row-major 3x3).
+// Returns null unless the result is a convex quadrilateral.
+function projectReferenceQuad(h, ref) {
+    let width = ref.width;
+    let height = ref.height;
+
+    // Older entries without stored dimensions: use the keypoint extent
+    if (!width || !height) {
+        for (const [x, y] of ref.keypoints) {
+            width = Math.max(width, x);
+            height = Math.max(height, y);
+        }
+    }
+
+    const corners = [
+        [0, 0],
+        [width, 0],
+        [width, height],
+        [0, height],
+    ];
+
+    const quad = [];
+    for (const [x, y] of corners) {
+        const w = h[6] * x + h[7] * y + h[8];
+        if (Math.abs(w) < 1e-8) return null;
+        quad.push({
+            x: Math.round((h[0] * x + h[1] * y + h[2]) / w),
+            y: Math.round((h[3] * x + h[4] * y + h[5]) / w),
+        });
+    }
+
+    // Convexity: all edge cross products share the same sign
+    let sign = 0;
+    for (let i = 0; i < 4; i++) {
+        const a = quad[i];
+        const b = quad[(i + 1) % 4];
+        const c = quad[(i + 2) % 4];
+        const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+        if (cross === 0) return null;
+        if (sign === 0) sign = Math.sign(cross);
+        else if (Math.sign(cross) !== sign) return null;
+    }
+
+    return quad;
+}
+
+// ============================================================================
+// PAINTING RECTIFICATION
+// ============================================================================
+
+// Find the largest outer contour that simplifies to a quadrilateral (painting or its frame)
+// Returns { quad: [tl, tr, br, bl] in frame pixels, areaRatio } or null
+function findPaintingQuad(src, config) {
+    const scale = Math.min(1, config.DETECT_SIZE / Math.max(src.cols, src.rows));
+
+    return MatScope.run((scope) => {
+        const gray = scope.track(new cv.Mat());
+        const edges = scope.track(new cv.Mat());
+        const contours = scope.track(new cv.MatVector());
+        const hierarchy = scope.track(new cv.Mat());
+        const kernel = scope.track(cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3)));
+
+        cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+        cv.resize(
+            gray,
+            gray,
+            new cv.Size(Math.round(src.cols * scale), Math.round(src.rows * scale)),
+            0,
+            0,
+            cv.INTER_AREA
+        );
+        cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 0);
+        cv.Canny(gray, edges, 50, 150);
+        // Close small gaps in the frame edges
+        cv.dilate(edges, edges, kernel);
+
+        cv.findContours(
+            edges,
+            contours,
+            hierarchy,
+            cv.RETR_EXTERNAL,
+            cv.CHAIN_APPROX_SIMPLE
+        );
+
+        const frameArea = gray.rows * gray.cols;
+        let best = null;
+        let bestArea = config.MIN_AREA_RATIO * frameArea;
+
+        for (let i = 0; i < contours.size(); i++) {
+            // One scope per contour: large frames can have thousands
+            MatScope.run((contourScope) => {
+                const contour = contourScope.track(contours.get(i));
+                const area = cv.contourArea(contour);
+                if (area <= bestArea || area >= config.MAX_AREA_RATIO * frameArea) return;
+
+                // Hull first: edges inside the painting often notch its outline
+                const hull = contourScope.track(new cv.Mat());
+                const approx = contourScope.track(new cv.Mat());
+                cv.convexHull(contour, hull, false, true);
+                cv.approxPolyDP(
+                    hull,
+                    approx,
+                    config.APPROX_EPSILON * cv.arcLength(hull, true),
+                    true
+                );
+
+                if (approx.rows === 4) {
+                    bestArea = area;
+                    best = [];
+                    for (let j = 0; j < 4; j++) {
+                        best.push({
+                            x: Math.round(approx.data32S[j * 2] / scale),
+                            y: Math.round(approx.data32S[j * 2 + 1] / scale),
+                        });
+                    }
+                }
+            });
+        }
+
+        if (!best) return null;
+
+        return {
+            quad: orderCorners(best),
+            areaRatio: Math.round((bestArea / frameArea) * 1000) / 1000,
+        };
+    });
+}
+
+// Order quad corners as top-left, top-right, bottom-right, bottom-left
+function orderCorners(points) {
+    const bySum = [...points].sort((a, b) => a.x + a.y - (b.x + b.y));
+    const byDiff = [...points].sort((a, b) => a.y - a.x - (b.y - b.x));
+    return [bySum[0], byDiff[0], bySum[3], byDiff[3]];
+}
+
+// Perspective-warp the quad to an upright rectangle
+// Output size follows the quad's longest edges, capped at maxSize
+function warpQuad(src, quad, maxSize) {
+    const [tl, tr, br, bl] = quad;
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+    let width = Math.max(distance(tl, tr), distance(bl, br));
+    let height = Math.max(distance(tl, bl), distance(tr, br));
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    width = Math.max(1, Math.round(width * scale));
+    height = Math.max(1, Math.round(height * scale));
+
+    return MatScope.run((scope) => {
+        const srcCorners = scope.track(cv.matFromArray(4, 1, cv.CV_32FC2, [
+            tl.x, tl.y, tr.x, tr.y, br.x, br.y, bl.x, bl.y,
+        ]));
+        const dstCorners = scope.track(cv.matFromArray(4, 1, cv.CV_32FC2, [
+            0, 0, width, 0, width, height, 0, height,
+        ]));
+        const transform = scope.track(cv.getPerspectiveTransform(srcCorners, dstCorners));
+        const dst = scope.track(new cv.Mat());
+
+        cv.warpPerspective(
+            src,
+            dst,
+            transform,
+            new cv.Size(width, height),
+            cv.INTER_LINEAR,
+            cv.BORDER_REPLICATE,
+            new cv.Scalar()
+        );
+
+        // Copy out of the WASM heap so the buffer can be transferred
+        return {width, height, buffer: dst.data.slice().buffer};
+    });
+}
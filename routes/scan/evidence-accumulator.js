@@ -0,0 +1,204 @@
+// Evidence Accumulator
+// Sequential decision for continuous scanning: every recognized frame adds
+// evidence for its candidates, and the scan stops as soon as one candidate is
+// likely enough (or gives up when the evidence stays ambiguous) instead of
+// waiting for fixed batches of frames to vote
+
+(function (window) {
+    'use strict';
+
+    const DEFAULTS = {
+        errorRate: 0.02, // Accept once the leader's posterior reaches 1 - errorRate
+        minFrames: 2, // Frames with a result before any decision
+        maxFrames: 20, // Frames (with or without a result) before giving up
+        minEvidenceFrames: 2, // Frames with a result needed to report "inconclusive"
+        hysteresis: 1.0, // Log-odds a challenger must lead by to take over
+        maxLeaderChanges: 3, // Give up early once the leader has flipped this often
+        absentProbability: 0.2, // Evidence for a tracked candidate a frame does not list
+        trackedWeight: 0.3, // Evidence weight of a frame that reused a tracked identity
+    };
+
+    // Keep a single frame from being certain on its own
+    const MIN_PROBABILITY = 0.02;
+    const MAX_PROBABILITY = 0.98;
+
+    // Create an accumulator for one scanning session
+    // Frames are normalized recognizer results (see RecognizerRegistry.run),
+    // or null when nothing was recognized in the frame
+    function createEvidenceAccumulator(options = {}) {
+        const config = { ...DEFAULTS, ...options };
+
+        let candidates = new Map(); // subject id → per-candidate evidence
+        let frames = 0;
+        let evidenceFrames = 0;
+        let leader = null;
+        let leaderChanges = 0;
+
+        return {
+            // Add one frame and return the updated state (see getState)
+            // Once the status has left 'collecting' the verdict stands until
+            // reset: frames still in flight when it was reached are ignored, so
+            // a late disagreeing frame cannot reopen it or change the leader
+            add(result) {
+                const current = this.getState();
+                if (current.status !== 'collecting') return current;
+
+                frames++;
+
+                if (result && result.candidate) {
+                    evidenceFrames++;
+                    observe(result);
+                    updateLeader();
+                }
+
+                return this.getState();
+            },
+
+            // { status, leader, posterior, frames, evidenceFrames, leaderChanges, reason }
+            // status: 'collecting' | 'decided' | 'inconclusive' | 'empty'
+            // ('empty' = maxFrames passed with too little evidence to report)
+            getState() {
+                const posterior = leader ? posteriorOf(leader) : 0;
+                const state = {
+                    status: 'collecting',
+                    leader: leader ? summarize(leader) : null,
+                    posterior,
+                    frames,
+                    evidenceFrames,
+                    leaderChanges,
+                    reason: null,
+                };
+
+                if (
+                    leader &&
+                    leader.votes > 0 &&
+                    evidenceFrames >= config.minFrames &&
+                    posterior >= 1 - config.errorRate
+                ) {
+                    state.status = 'decided';
+                } else if (leaderChanges >= config.maxLeaderChanges) {
+                    state.status = 'inconclusive';
+                    state.reason = 'ambiguous';
+                } else if (frames >= config.maxFrames) {
+                    state.status =
+                        evidenceFrames >= config.minEvidenceFrames ? 'inconclusive' : 'empty';
+                    state.reason = 'max_frames';
+                }
+
+                return state;
+            },
+
+            // Candidates by posterior, best first
+            getRanking() {
+                return Array.from(candidates.values())
+                    .map(summarize)
+                    .sort((a, b) => b.posterior - a.posterior);
+            },
+
+            reset() {
+                candidates = new Map();
+                frames = 0;
+                evidenceFrames = 0;
+                leader = null;
+                leaderChanges = 0;
+            },
+        };
+
+        // Add a frame's per-candidate evidence (calibrated log-odds)
+        // A frame that reused an earlier identification (face tracking) is not
+        // an independent measurement, so it only counts for trackedWeight
+        function observe(result) {
+            const listed =
+                result.alternatives && result.alternatives.length > 0
+                    ? result.alternatives
+                    : [result];
+            const weight = result.details && result.details.reusedIdentity ? config.trackedWeight : 1;
+            const seen = new Set();
+
+            for (const alternative of listed) {
+                const entry = track(alternative.candidate);
+                entry.logOdds += weight * logOdds(alternative.probability);
+                seen.add(entry.id);
+            }
+
+            // Tracked candidates this frame did not list count as unlikely
+            for (const entry of candidates.values()) {
+                if (!seen.has(entry.id)) {
+                    entry.logOdds += weight * logOdds(config.absentProbability);
+                }
+            }
+
+            // Per-candidate votes for the result page (accepted frames only)
+            if (result.accepted) {
+                const entry = track(result.candidate);
+                entry.votes++;
+                entry.totalProbability += result.probability;
+                if (!entry.bestResult || result.probability >= entry.bestResult.probability) {
+                    entry.bestResult = result;
+                }
+            }
+        }
+
+        function track(candidate) {
+            if (!candidates.has(candidate.id)) {
+                candidates.set(candidate.id, {
+                    id: candidate.id,
+                    name: candidate.name,
+                    candidate: candidate,
+                    logOdds: 0,
+                    votes: 0,
+                    totalProbability: 0,
+                    bestResult: null,
+                });
+            }
+            return candidates.get(candidate.id);
+        }
+
+        // The leader only changes when a challenger is clearly ahead
+        function updateLeader() {
+            let best = null;
+            for (const entry of candidates.values()) {
+                if (!best || entry.logOdds > best.logOdds) best = entry;
+            }
+
+            if (!leader) {
+                leader = best;
+            } else if (best !== leader && best.logOdds - leader.logOdds > config.hysteresis) {
+                leader = best;
+                leaderChanges++;
+            }
+        }
+
+        // Posterior of one candidate against every tracked candidate and
+        // "none of them" (log-odds 0)
+        function posteriorOf(entry) {
+            let total = 1;
+            for (const other of candidates.values()) {
+                total += Math.exp(other.logOdds);
+            }
+            return Math.exp(entry.logOdds) / total;
+        }
+
+        function summarize(entry) {
+            return {
+                candidate: entry.candidate,
+                name: entry.name,
+                logOdds: entry.logOdds,
+                posterior: posteriorOf(entry),
+                votes: entry.votes,
+                avgProbability: entry.votes > 0 ? entry.totalProbability / entry.votes : 0,
+                bestResult: entry.bestResult,
+            };
+        }
+    }
+
+    function logOdds(probability) {
+        const p = Math.min(Math.max(probability, MIN_PROBABILITY), MAX_PROBABILITY);
+        return Math.log(p / (1 - p));
+    }
+
+    // Expose factory globally
+    window.createEvidenceAccumulator = createEvidenceAccumulator;
+
+    console.log('[Evidence Accumulator] Loaded');
+})(window);
@@ -0,0 +1,130 @@
+// Face Tracker
+// Portraits hang still on walls, so consecutive frames show the face in the
+// same place. The tracker remembers the last face box and identity so the
+// scanner can look for the face only in a region around it and reuse the
+// identity instead of recomputing landmarks + descriptor every frame.
+
+(function (window) {
+    'use strict';
+
+    const DEFAULTS = {
+        roiMargin: 0.5, // Region of interest = last box grown by this share of its size per side
+        minConfidence: 0.25, // Below this the track is dropped (full-frame detection again)
+        reidentifyConfidence: 0.5, // Below this the face is identified again
+        reidentifyFrames: 5, // Identify again after this many frames on a reused identity
+    };
+
+    // Create a tracker for one face (single-portrait mode)
+    function createFaceTracker(options = {}) {
+        const config = { ...DEFAULTS, ...options };
+        let track = null;
+        let turn = Promise.resolve(); // Last queued exclusive() call
+
+        return {
+            // Run fn(tracker) once every earlier call has settled, so frames
+            // recognized concurrently still follow the face one after another
+            // Resolves / rejects with fn's result
+            exclusive(fn) {
+                const run = turn.then(() => fn(this));
+                turn = run.catch(() => {});
+                return run;
+            },
+
+            isTracking() {
+                return track !== null;
+            },
+
+            // Region to search in the next frame, clamped to the frame
+            // Returns {x, y, width, height} or null when nothing is tracked
+            getRegionOfInterest(frameWidth, frameHeight) {
+                if (!track) return null;
+
+                const box = track.box;
+                const marginX = box.width * config.roiMargin;
+                const marginY = box.height * config.roiMargin;
+                const x = Math.max(0, Math.floor(box.x - marginX));
+                const y = Math.max(0, Math.floor(box.y - marginY));
+
+                return {
+                    x,
+                    y,
+                    width: Math.min(frameWidth, Math.ceil(box.x + box.width + marginX)) - x,
+                    height: Math.min(frameHeight, Math.ceil(box.y + box.height + marginY)) - y,
+                };
+            },
+
+            // True when the next tracked frame should recompute the identity
+            needsIdentification() {
+                return (
+                    !track ||
+                    !track.identity ||
+                    track.confidence < config.reidentifyConfidence ||
+                    track.framesSinceIdentified >= config.reidentifyFrames
+                );
+            },
+
+            // Start or refresh the track with a freshly identified face
+            // identity: raw recognizer result ({ candidate, score, accepted, details, alternatives })
+            identify(box, score, identity) {
+                track = {
+                    box,
+                    confidence: score,
+                    identity,
+                    framesSinceIdentified: 0,
+                    frames: track ? track.frames + 1 : 1,
+                };
+            },
+
+            // Follow the face into a new frame (detection only, no identity)
+            // Returns the tracking confidence (detection score x overlap with the
+            // last box); the track is dropped when it falls below minConfidence
+            update(box, score) {
+                if (!track) return 0;
+
+                const confidence = score * iou(track.box, box);
+                if (confidence < config.minConfidence) {
+                    track = null;
+                    return confidence;
+                }
+
+                track.box = box;
+                track.confidence = confidence;
+                track.framesSinceIdentified++;
+                track.frames++;
+                return confidence;
+            },
+
+            // Identity to reuse for the current frame, or null
+            // { identity, confidence, framesSinceIdentified, frames }
+            getIdentity() {
+                if (!track || !track.identity) return null;
+                return {
+                    identity: track.identity,
+                    confidence: track.confidence,
+                    framesSinceIdentified: track.framesSinceIdentified,
+                    frames: track.frames,
+                };
+            },
+
+            reset() {
+                track = null;
+            },
+        };
+    }
+
+    // Intersection over union of two boxes
+    function iou(a, b) {
+        const x1 = Math.max(a.x, b.x);
+        const y1 = Math.max(a.y, b.y);
+        const x2 = Math.min(a.x + a.width, b.x + b.width);
+        const y2 = Math.min(a.y + a.height, b.y + b.height);
+        const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+        const union = a.width * a.height + b.width * b.height - intersection;
+        return union > 0 ? intersection / union : 0;
+    }
+
+    // Expose factory globally
+    window.createFaceTracker = createFaceTracker;
+
+    console.log('[Face Tracker] Loaded');
+})(window);
@@ -0,0 +1,108 @@
+// Local Feature Types
+// Binary feature detectors Layer 2 can match with (Hamming distance): ORB,
+// AKAZE and BRISK. Every descriptors.json entry records the type and
+// parameters it was generated with ({ type, params }); the scanner extracts
+// the same kind of features from the live frame to match it. Entries without
+// one are ORB with its defaults (older files).
+//
+// Shared by the descriptor generators (utils/generate-*descriptors.html) and
+// cv-worker.js. Runs in windows and workers.
+
+(function (root) {
+    'use strict';
+
+    const TYPES = {
+        // Fast, scale pyramid + oriented BRIEF (256 bits)
+        orb: {
+            defaults: {
+                nfeatures: 500, // Strongest keypoints kept
+            },
+            create(cv, params) {
+                return new cv.ORB(params.nfeatures);
+            },
+        },
+
+        // Nonlinear scale space: keeps soft, low-texture edges (brushwork)
+        // that ORB's Gaussian pyramid blurs away; slower (486 bits)
+        akaze: {
+            defaults: {
+                threshold: 0.001, // Detector response threshold (lower = more keypoints)
+                nOctaves: 4,
+                nOctaveLayers: 4,
+            },
+            create(cv, params) {
+                // The constructor's enum arguments are not bound in OpenCV.js:
+                // build with defaults, then set the numeric parameters
+                const akaze = new cv.AKAZE();
+                akaze.setThreshold(params.threshold);
+                akaze.setNOctaves(params.nOctaves);
+                akaze.setNOctaveLayers(params.nOctaveLayers);
+                return akaze;
+            },
+        },
+
+        // FAST-style corners with a sampling pattern descriptor (512 bits)
+        brisk: {
+            defaults: {
+                thresh: 30, // AGAST threshold (lower = more keypoints)
+                octaves: 3,
+                patternScale: 1.0,
+            },
+            create(cv, params) {
+                return new cv.BRISK(params.thresh, params.octaves, params.patternScale);
+            },
+        },
+    };
+
+    const DEFAULT_TYPE = 'orb';
+
+    const FeatureTypes = {
+        TYPES,
+
+        // Fill in defaults: { type, params }
+        // feature: { type, params } (missing or partial allowed)
+        normalize(feature) {
+            const type = (feature && feature.type) || DEFAULT_TYPE;
+            const definition = TYPES[type];
+            if (!definition) throw new Error(`Unknown feature type: ${type}`);
+
+            return {
+                type,
+                params: { ...definition.defaults, ...(feature && feature.params) },
+            };
+        },
+
+        // Stable string identifying a feature configuration (for grouping)
+        key(feature) {
+            const { type, params } = FeatureTypes.normalize(feature);
+            const names = Object.keys(params).sort();
+            return `${type}:${names.map((name) => `${name}=${params[name]}`).join(',')}`;
+        },
+
+        // Detect and describe keypoints in a grayscale Mat
+        // Returns { keypoints, descriptors } (caller deletes both)
+        extract(cv, gray, feature) {
+            const { type, params } = FeatureTypes.normalize(feature);
+            const detector = TYPES[type].create(cv, params);
+            const mask = new cv.Mat();
+            const keypoints = new cv.KeyPointVector();
+            const descriptors = new cv.Mat();
+
+            try {
+                detector.detectAndCompute(gray, mask, keypoints, descriptors);
+            } catch (error) {
+                keypoints.delete();
+                descriptors.delete();
+                throw error;
+            } finally {
+                detector.delete();
+                mask.delete();
+            }
+
+            return { keypoints, descriptors };
+        },
+    };
+
+    // Expose feature types globally (window or worker scope)
+    root.FeatureTypes = FeatureTypes;
+})(self);
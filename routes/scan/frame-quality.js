@@ -0,0 +1,144 @@
+// Frame Quality
+// Fast checks on a captured frame (sharpness, glare, exposure) so blurred or
+// washed-out frames are dropped before they reach recognition
+
+(function (window) {
+    'use strict';
+
+    const DEFAULTS = {
+        analysisSize: 320, // px, longest side the frame is downscaled to before measuring
+        minSharpness: 50, // Variance of the Laplacian; sharp portraits measure in the hundreds
+        maxGlareRatio: 0.05, // Share of pixels that are near-white specular highlights
+        minBrightness: 35, // Mean luma (0-255)
+        maxBrightness: 210,
+        maxClippedRatio: 0.5, // Share of pixels crushed to black or blown to white
+        // (portraits often have dark backgrounds, so this is generous)
+    };
+
+    // Luma at or above which a pixel is treated as a specular highlight
+    const GLARE_LUMA = 245;
+    // Histogram ends treated as clipped
+    const DARK_CLIP = 16;
+    const BRIGHT_CLIP = 240;
+
+    // Reused scratch canvas for the downscaled frame
+    let scratch = null;
+
+    const FrameQuality = {
+        // Measure a frame
+        // Returns { sharpness, glareRatio, brightness, darkRatio, brightRatio, duration }
+        analyze(canvas, options = {}) {
+            const config = { ...DEFAULTS, ...options };
+            const startTime = Date.now();
+
+            const gray = downscaleToGray(canvas, config.analysisSize);
+            const { width, height, data } = gray;
+            const pixels = width * height;
+
+            // Brightness histogram
+            const histogram = new Uint32Array(256);
+            for (let i = 0; i < pixels; i++) histogram[data[i]]++;
+
+            let sum = 0;
+            let dark = 0;
+            let bright = 0;
+            let glare = 0;
+            for (let v = 0; v < 256; v++) {
+                sum += v * histogram[v];
+                if (v <= DARK_CLIP) dark += histogram[v];
+                if (v >= BRIGHT_CLIP) bright += histogram[v];
+                if (v >= GLARE_LUMA) glare += histogram[v];
+            }
+
+            return {
+                sharpness: round(laplacianVariance(data, width, height)),
+                glareRatio: round(glare / pixels),
+                brightness: round(sum / pixels),
+                darkRatio: round(dark / pixels),
+                brightRatio: round(bright / pixels),
+                duration: Date.now() - startTime,
+            };
+        },
+
+        // Decide whether measured metrics are good enough for recognition
+        // Returns { ok, reasons } - reasons are ordered by how much they hurt
+        // recognition: 'too_dark', 'too_bright', 'glare', 'blurry'
+        assess(metrics, options = {}) {
+            const config = { ...DEFAULTS, ...options };
+            const reasons = [];
+
+            if (
+                metrics.brightness < config.minBrightness ||
+                metrics.darkRatio > config.maxClippedRatio
+            ) {
+                reasons.push('too_dark');
+            } else if (
+                metrics.brightness > config.maxBrightness ||
+                metrics.brightRatio > config.maxClippedRatio
+            ) {
+                reasons.push('too_bright');
+            }
+            if (metrics.glareRatio > config.maxGlareRatio) {
+                reasons.push('glare');
+            }
+            if (metrics.sharpness < config.minSharpness) {
+                reasons.push('blurry');
+            }
+
+            return { ok: reasons.length === 0, reasons };
+        },
+    };
+
+    // Grayscale copy of the frame, longest side at most `size` pixels
+    function downscaleToGray(canvas, size) {
+        const scale = Math.min(1, size / Math.max(canvas.width, canvas.height));
+        const width = Math.max(1, Math.round(canvas.width * scale));
+        const height = Math.max(1, Math.round(canvas.height * scale));
+
+        if (!scratch) scratch = document.createElement('canvas');
+        scratch.width = width;
+        scratch.height = height;
+        const ctx = scratch.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(canvas, 0, 0, width, height);
+
+        const rgba = ctx.getImageData(0, 0, width, height).data;
+        const data = new Uint8Array(width * height);
+        for (let i = 0, p = 0; i < data.length; i++, p += 4) {
+            // Rec. 601 luma, integer approximation
+            data[i] = (rgba[p] * 77 + rgba[p + 1] * 150 + rgba[p + 2] * 29) >> 8;
+        }
+
+        return { width, height, data };
+    }
+
+    // Variance of the 4-neighbour Laplacian (higher = sharper)
+    function laplacianVariance(data, width, height) {
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const value =
+                    data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+                sum += value;
+                sumSquares += value * value;
+                count++;
+            }
+        }
+
+        if (count === 0) return 0;
+        const mean = sum / count;
+        return sumSquares / count - mean * mean;
+    }
+
+    function round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    // Expose analyzer globally
+    window.FrameQuality = FrameQuality;
+
+    console.log('[Frame Quality] Module loaded');
+})(window);
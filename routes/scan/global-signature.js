@@ -0,0 +1,148 @@
+// Global Image Signature
+// Cheap whole-image fingerprint for the Layer 0 prefilter: a 64-bit DCT
+// perceptual hash (structure) plus a coarse 4x4x4 RGB histogram (palette).
+// Comparing a frame's signature with every reference takes microseconds, so
+// large catalogs can be narrowed to a shortlist before ORB matching.
+//
+// Reference signatures are computed by the descriptor generators
+// (utils/generate-*descriptors.html) and stored in descriptors.json.
+// Runs in windows and workers.
+
+(function (root) {
+    'use strict';
+
+    const HASH_SIZE = 32; // Luma grid the DCT runs on
+    const HASH_BITS = 8; // Low-frequency block kept (8x8 = 64 bits)
+    const COLOR_LEVELS = 4; // Per channel: 4 x 4 x 4 = 64 histogram bins
+    const MAX_SAMPLES = 65536; // Pixels sampled per image (large images are strided)
+
+    // cos((2x + 1) u pi / 2N) for the low frequencies only
+    const COSINES = new Float64Array(HASH_BITS * HASH_SIZE);
+    for (let u = 0; u < HASH_BITS; u++) {
+        for (let x = 0; x < HASH_SIZE; x++) {
+            COSINES[u * HASH_SIZE + x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SIZE));
+        }
+    }
+
+    // Set bits per nibble (hashes are stored as hex)
+    const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+    const GlobalSignature = {
+        // Signature of RGBA pixels (ImageData or { width, height, data })
+        // Returns { phash: 16 hex digits, histogram: 64 shares summing to 1 }
+        compute(image) {
+            const { width, height, data } = image;
+            const step = Math.max(1, Math.floor(Math.sqrt((width * height) / MAX_SAMPLES)));
+
+            const luma = new Float64Array(HASH_SIZE * HASH_SIZE);
+            const counts = new Uint32Array(HASH_SIZE * HASH_SIZE);
+            const histogram = new Float64Array(COLOR_LEVELS ** 3);
+            let samples = 0;
+
+            for (let y = 0; y < height; y += step) {
+                const cellY = Math.floor((y * HASH_SIZE) / height) * HASH_SIZE;
+                for (let x = 0; x < width; x += step) {
+                    const p = (y * width + x) * 4;
+                    const r = data[p];
+                    const g = data[p + 1];
+                    const b = data[p + 2];
+
+                    const cell = cellY + Math.floor((x * HASH_SIZE) / width);
+                    luma[cell] += 0.299 * r + 0.587 * g + 0.114 * b;
+                    counts[cell]++;
+
+                    histogram[(r >> 6) * 16 + (g >> 6) * 4 + (b >> 6)]++;
+                    samples++;
+                }
+            }
+
+            for (let i = 0; i < luma.length; i++) {
+                if (counts[i] > 0) luma[i] /= counts[i];
+            }
+
+            return {
+                phash: perceptualHash(luma),
+                histogram: Array.from(histogram, (count) =>
+                    samples > 0 ? Math.round((count / samples) * 10000) / 10000 : 0
+                ),
+            };
+        },
+
+        // Dissimilarity of two signatures, 0 (identical) to 1
+        // hashWeight: share of the perceptual hash (rest: color histogram)
+        distance(a, b, hashWeight = 0.6) {
+            const hashDistance = hammingDistance(a.phash, b.phash) / (HASH_BITS * HASH_BITS);
+
+            let intersection = 0;
+            for (let i = 0; i < a.histogram.length; i++) {
+                intersection += Math.min(a.histogram[i], b.histogram[i]);
+            }
+
+            return hashWeight * hashDistance + (1 - hashWeight) * (1 - Math.min(1, intersection));
+        },
+
+        // Rank catalog entries by distance to a signature, closest first
+        // entries: [{ id, signature }] - entries without a signature are skipped
+        // Returns [{ id, distance }]
+        rank(signature, entries, hashWeight) {
+            return entries
+                .filter((entry) => entry.signature)
+                .map((entry) => ({
+                    id: entry.id,
+                    distance: GlobalSignature.distance(signature, entry.signature, hashWeight),
+                }))
+                .sort((a, b) => a.distance - b.distance);
+        },
+    };
+
+    // 64-bit pHash: low-frequency 8x8 block of the 2D DCT of the luma grid,
+    // one bit per coefficient above the block's median
+    function perceptualHash(luma) {
+        // Rows first: rowDct[y][u] = sum_x luma[y][x] cos(u, x)
+        const rowDct = new Float64Array(HASH_SIZE * HASH_BITS);
+        for (let y = 0; y < HASH_SIZE; y++) {
+            for (let u = 0; u < HASH_BITS; u++) {
+                let sum = 0;
+                for (let x = 0; x < HASH_SIZE; x++) {
+                    sum += luma[y * HASH_SIZE + x] * COSINES[u * HASH_SIZE + x];
+                }
+                rowDct[y * HASH_BITS + u] = sum;
+            }
+        }
+
+        const coefficients = new Float64Array(HASH_BITS * HASH_BITS);
+        for (let v = 0; v < HASH_BITS; v++) {
+            for (let u = 0; u < HASH_BITS; u++) {
+                let sum = 0;
+                for (let y = 0; y < HASH_SIZE; y++) {
+                    sum += rowDct[y * HASH_BITS + u] * COSINES[v * HASH_SIZE + y];
+                }
+                coefficients[v * HASH_BITS + u] = sum;
+            }
+        }
+
+        const sorted = Array.from(coefficients).sort((a, b) => a - b);
+        const median = (sorted[31] + sorted[32]) / 2;
+
+        let hex = '';
+        for (let i = 0; i < coefficients.length; i += 4) {
+            let nibble = 0;
+            for (let bit = 0; bit < 4; bit++) {
+                if (coefficients[i + bit] > median) nibble |= 8 >> bit;
+            }
+            hex += nibble.toString(16);
+        }
+        return hex;
+    }
+
+    function hammingDistance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) {
+            distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+        }
+        return distance;
+    }
+
+    // Expose signature functions globally (window or worker scope)
+    root.GlobalSignature = GlobalSignature;
+})(self);
@@ -0,0 +1,221 @@
+// Illumination Normalization
+// Optional preprocessing against gallery lighting (spotlights, warm bulbs, dim
+// corners), applied in place to RGBA pixels in a fixed order:
+//   1. gray-world white balance (removes color casts)
+//   2. gamma correction (fixed, or 'auto': maps mean brightness to mid-gray)
+//   3. CLAHE on luminance (local contrast, limited noise amplification)
+//
+// Settings are recorded in descriptors.json entries and face-embeddings.json
+// by the generators, and the scanner applies the same stages to the live
+// frame. Shared by the generators, the scanner and cv-worker.js.
+// Runs in windows and workers.
+
+(function (root) {
+    'use strict';
+
+    // Parameters used when a stage is switched on without its own
+    const STAGE_DEFAULTS = {
+        gamma: 'auto',
+        clahe: { clipLimit: 2.0, tiles: 8 },
+    };
+
+    // Auto gamma is kept within this range so near-black frames are not blown up
+    const MIN_GAMMA = 0.4;
+    const MAX_GAMMA = 2.5;
+    // Gray-world channel gains are limited the same way
+    const MAX_GAIN = 2;
+
+    const Illumination = {
+        STAGE_DEFAULTS,
+
+        // Fill in missing stages: { grayWorld, gamma, clahe } (null = stage off)
+        normalize(settings) {
+            settings = settings || {};
+            return {
+                grayWorld: !!settings.grayWorld,
+                gamma: settings.gamma ?? null,
+                clahe: settings.clahe ? { ...STAGE_DEFAULTS.clahe, ...settings.clahe } : null,
+            };
+        },
+
+        // Settings from per-stage on/off toggles, with default parameters
+        fromToggles(toggles) {
+            return Illumination.normalize({
+                grayWorld: toggles.grayWorld,
+                gamma: toggles.gamma ? STAGE_DEFAULTS.gamma : null,
+                clahe: toggles.clahe ? STAGE_DEFAULTS.clahe : null,
+            });
+        },
+
+        isEnabled(settings) {
+            const { grayWorld, gamma, clahe } = Illumination.normalize(settings);
+            return grayWorld || gamma !== null || clahe !== null;
+        },
+
+        // Stable string identifying the stages (for grouping and logs)
+        key(settings) {
+            const { grayWorld, gamma, clahe } = Illumination.normalize(settings);
+            const stages = [];
+            if (grayWorld) stages.push('grayWorld');
+            if (gamma !== null) stages.push(`gamma=${gamma}`);
+            if (clahe) stages.push(`clahe=${clahe.clipLimit}/${clahe.tiles}`);
+            return stages.length > 0 ? stages.join('+') : 'none';
+        },
+
+        // Apply the enabled stages in place
+        // image: ImageData or { width, height, data } (RGBA)
+        apply(image, settings) {
+            const { grayWorld, gamma, clahe } = Illumination.normalize(settings);
+            if (grayWorld) applyGrayWorld(image.data);
+            if (gamma !== null) applyGamma(image.data, gamma);
+            if (clahe) applyClahe(image, clahe.clipLimit, clahe.tiles);
+            return image;
+        },
+    };
+
+    // Scale each channel so the image's mean color becomes neutral gray
+    function applyGrayWorld(data) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        for (let p = 0; p < data.length; p += 4) {
+            r += data[p];
+            g += data[p + 1];
+            b += data[p + 2];
+        }
+        if (r === 0 || g === 0 || b === 0) return;
+
+        const gray = (r + g + b) / 3;
+        const gains = [r, g, b].map((sum) => Math.min(MAX_GAIN, Math.max(1 / MAX_GAIN, gray / sum)));
+        const luts = gains.map((gain) => buildLut((v) => v * gain));
+
+        for (let p = 0; p < data.length; p += 4) {
+            data[p] = luts[0][data[p]];
+            data[p + 1] = luts[1][data[p + 1]];
+            data[p + 2] = luts[2][data[p + 2]];
+        }
+    }
+
+    // out = 255 * (in / 255) ^ gamma; 'auto' picks gamma so mean luma → 128
+    function applyGamma(data, gamma) {
+        if (gamma === 'auto') {
+            let sum = 0;
+            for (let p = 0; p < data.length; p += 4) {
+                sum += luma(data[p], data[p + 1], data[p + 2]);
+            }
+            const mean = Math.min(0.99, Math.max(0.01, sum / (data.length / 4) / 255));
+            gamma = Math.min(MAX_GAMMA, Math.max(MIN_GAMMA, Math.log(0.5) / Math.log(mean)));
+        }
+
+        const lut = buildLut((v) => 255 * Math.pow(v / 255, gamma));
+        for (let p = 0; p < data.length; p += 4) {
+            data[p] = lut[data[p]];
+            data[p + 1] = lut[data[p + 1]];
+            data[p + 2] = lut[data[p + 2]];
+        }
+    }
+
+    // Contrast Limited Adaptive Histogram Equalization of luminance: one
+    // clipped, equalized mapping per tile, bilinearly blended between tile
+    // centers; colors are scaled with the luminance so hues are kept
+    function applyClahe(image, clipLimit, tiles) {
+        const { width, height, data } = image;
+        const tileWidth = Math.ceil(width / tiles);
+        const tileHeight = Math.ceil(height / tiles);
+
+        const lumas = new Uint8Array(width * height);
+        for (let i = 0, p = 0; i < lumas.length; i++, p += 4) {
+            lumas[i] = Math.round(luma(data[p], data[p + 1], data[p + 2]));
+        }
+
+        // Per-tile mappings
+        const maps = new Uint8Array(tiles * tiles * 256);
+        const histogram = new Uint32Array(256);
+        for (let ty = 0; ty < tiles; ty++) {
+            for (let tx = 0; tx < tiles; tx++) {
+                histogram.fill(0);
+                const x0 = tx * tileWidth;
+                const y0 = ty * tileHeight;
+                const x1 = Math.min(width, x0 + tileWidth);
+                const y1 = Math.min(height, y0 + tileHeight);
+                const pixels = Math.max(0, x1 - x0) * Math.max(0, y1 - y0);
+                if (pixels === 0) continue;
+
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) histogram[lumas[y * width + x]]++;
+                }
+
+                // Clip and spread the excess evenly over all bins
+                const limit = Math.max(1, Math.round((clipLimit * pixels) / 256));
+                let excess = 0;
+                for (let v = 0; v < 256; v++) {
+                    if (histogram[v] > limit) {
+                        excess += histogram[v] - limit;
+                        histogram[v] = limit;
+                    }
+                }
+                const bonus = excess / 256;
+
+                const offset = (ty * tiles + tx) * 256;
+                let cumulative = 0;
+                for (let v = 0; v < 256; v++) {
+                    cumulative += histogram[v] + bonus;
+                    maps[offset + v] = Math.min(255, Math.round((cumulative * 255) / pixels));
+                }
+            }
+        }
+
+        // Blend the four nearest tile mappings per pixel
+        for (let y = 0; y < height; y++) {
+            const fy = Math.min(tiles - 1, Math.max(0, (y + 0.5) / tileHeight - 0.5));
+            const ty0 = Math.floor(fy);
+            const ty1 = Math.min(tiles - 1, ty0 + 1);
+            const wy = fy - ty0;
+
+            for (let x = 0; x < width; x++) {
+                const fx = Math.min(tiles - 1, Math.max(0, (x + 0.5) / tileWidth - 0.5));
+                const tx0 = Math.floor(fx);
+                const tx1 = Math.min(tiles - 1, tx0 + 1);
+                const wx = fx - tx0;
+
+                const i = y * width + x;
+                const v = lumas[i];
+                const top =
+                    maps[(ty0 * tiles + tx0) * 256 + v] * (1 - wx) +
+                    maps[(ty0 * tiles + tx1) * 256 + v] * wx;
+                const bottom =
+                    maps[(ty1 * tiles + tx0) * 256 + v] * (1 - wx) +
+                    maps[(ty1 * tiles + tx1) * 256 + v] * wx;
+                const mapped = top * (1 - wy) + bottom * wy;
+
+                // Clamped explicitly: OpenCV Mat data is a plain Uint8Array
+                const p = i * 4;
+                if (v === 0) {
+                    data[p] = data[p + 1] = data[p + 2] = Math.round(mapped);
+                } else {
+                    const ratio = mapped / v;
+                    data[p] = Math.min(255, Math.round(data[p] * ratio));
+                    data[p + 1] = Math.min(255, Math.round(data[p + 1] * ratio));
+                    data[p + 2] = Math.min(255, Math.round(data[p + 2] * ratio));
+                }
+            }
+        }
+    }
+
+    // 0-255 lookup table of a per-value transform (rounded and clamped)
+    function buildLut(transform) {
+        const lut = new Uint8Array(256);
+        for (let v = 0; v < 256; v++) {
+            lut[v] = Math.min(255, Math.max(0, Math.round(transform(v))));
+        }
+        return lut;
+    }
+
+    // Rec. 601 luma
+    function luma(r, g, b) {
+        return 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+
+    // Expose illumination normalization globally (window or worker scope)
+    root.Illumination = Illumination;
+})(self);
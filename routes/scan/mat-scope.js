@@ -0,0 +1,89 @@
+// OpenCV Object Scopes
+// OpenCV.js objects (Mat, MatVector, KeyPointVector, detectors, matchers, and
+// the vectors returned by vector.get()) live on the WASM heap and are only
+// freed by delete(). A scope tracks every object allocated in one piece of
+// work (a recognition pass, one reference's matches) and frees them all in one
+// place, newest first, whether the work returns or throws - so a long
+// auto-scan session does not slowly fill the heap.
+//
+// Used by cv-worker.js. Runs in windows and workers.
+
+(function (root) {
+    'use strict';
+
+    // Objects tracked by open scopes (all scopes), for diagnostics
+    let live = 0;
+    let peak = 0;
+    let released = 0;
+
+    function createScope() {
+        const objects = [];
+
+        return {
+            // Track an OpenCV object and return it
+            track(object) {
+                objects.push(object);
+                live++;
+                peak = Math.max(peak, live);
+                return object;
+            },
+
+            // Stop tracking an object that outlives the scope (caller deletes it)
+            keep(object) {
+                const index = objects.lastIndexOf(object);
+                if (index !== -1) {
+                    objects.splice(index, 1);
+                    live--;
+                }
+                return object;
+            },
+
+            // Free every tracked object, newest first
+            release() {
+                while (objects.length > 0) {
+                    deleteObject(objects.pop());
+                    live--;
+                }
+            },
+        };
+    }
+
+    // Objects may already have been deleted by their owner: skip those
+    function deleteObject(object) {
+        if (!object || (object.isDeleted && object.isDeleted())) return;
+        object.delete();
+        released++;
+    }
+
+    const MatScope = {
+        create: createScope,
+
+        // Run fn(scope) and release the scope when fn returns, throws or (if
+        // it returns a promise) settles; resolves/returns fn's result
+        run(fn) {
+            const scope = createScope();
+            let result;
+
+            try {
+                result = fn(scope);
+            } catch (error) {
+                scope.release();
+                throw error;
+            }
+
+            if (result && typeof result.then === 'function') {
+                return result.finally(() => scope.release());
+            }
+            scope.release();
+            return result;
+        },
+
+        // { live, peak, released } object counts since the module loaded
+        stats() {
+            return { live, peak, released };
+        },
+    };
+
+    // Expose scopes globally (window or worker scope)
+    root.MatScope = MatScope;
+})(self);
@@ -0,0 +1,141 @@
+// Multi-Scale Search Regions
+// A portrait seen from across the room fills a small part of the frame, and
+// after downscaling for recognition its face is below the detector's minimum
+// size. These helpers cut the full-resolution capture into overlapping zoomed
+// regions and order them by saliency (edge density), so the scanner can try
+// the most promising ones first within its time budget.
+
+(function (window) {
+    'use strict';
+
+    const DEFAULTS = {
+        zoomLevels: [0.6, 0.4], // Region side as a share of the frame side, widest first
+        overlap: 0.25, // Share of a region shared with its neighbour
+        analysisSize: 160, // px, longest side of the saliency map
+    };
+
+    // Reused scratch canvas for the saliency map
+    let scratch = null;
+
+    const MultiScale = {
+        // Overlapping regions of a width x height frame, per zoom level
+        // Returns [{ x, y, width, height, zoom }] in frame pixels
+        regions(width, height, options = {}) {
+            const config = { ...DEFAULTS, ...options };
+            const regions = [];
+
+            for (const zoom of config.zoomLevels) {
+                const regionWidth = Math.round(width * zoom);
+                const regionHeight = Math.round(height * zoom);
+                const xs = positions(width, regionWidth, config.overlap);
+                const ys = positions(height, regionHeight, config.overlap);
+
+                for (const y of ys) {
+                    for (const x of xs) {
+                        regions.push({ x, y, width: regionWidth, height: regionHeight, zoom });
+                    }
+                }
+            }
+
+            return regions;
+        },
+
+        // Regions sorted by saliency (mean gradient magnitude), most salient first
+        // Each region gets a `saliency` field (0-255 scale)
+        rankBySaliency(canvas, regions, options = {}) {
+            const config = { ...DEFAULTS, ...options };
+            const map = gradientIntegral(canvas, config.analysisSize);
+            const scaleX = map.width / canvas.width;
+            const scaleY = map.height / canvas.height;
+
+            return regions
+                .map((region) => ({
+                    ...region,
+                    saliency: Math.round(
+                        meanOver(
+                            map,
+                            Math.floor(region.x * scaleX),
+                            Math.floor(region.y * scaleY),
+                            Math.ceil((region.x + region.width) * scaleX),
+                            Math.ceil((region.y + region.height) * scaleY)
+                        ) * 10
+                    ) / 10,
+                }))
+                .sort((a, b) => b.saliency - a.saliency);
+        },
+    };
+
+    // Evenly spread start offsets covering a side with the given overlap
+    function positions(side, regionSide, overlap) {
+        if (regionSide >= side) return [0];
+
+        const step = regionSide * (1 - overlap);
+        const count = Math.ceil((side - regionSide) / step) + 1;
+        const result = [];
+        for (let i = 0; i < count; i++) {
+            result.push(Math.round(((side - regionSide) * i) / (count - 1)));
+        }
+        return result;
+    }
+
+    // Summed-area table of the gradient magnitude of a downscaled gray copy
+    function gradientIntegral(canvas, size) {
+        const scale = Math.min(1, size / Math.max(canvas.width, canvas.height));
+        const width = Math.max(3, Math.round(canvas.width * scale));
+        const height = Math.max(3, Math.round(canvas.height * scale));
+
+        if (!scratch) scratch = document.createElement('canvas');
+        scratch.width = width;
+        scratch.height = height;
+        const ctx = scratch.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(canvas, 0, 0, width, height);
+        const rgba = ctx.getImageData(0, 0, width, height).data;
+
+        const gray = new Float32Array(width * height);
+        for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+            gray[i] = 0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2];
+        }
+
+        // integral[(y + 1) * (width + 1) + (x + 1)] = sum over [0..x] x [0..y]
+        const stride = width + 1;
+        const integral = new Float64Array(stride * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                let magnitude = 0;
+                if (x > 0 && y > 0 && x < width - 1 && y < height - 1) {
+                    const i = y * width + x;
+                    magnitude =
+                        Math.abs(gray[i + 1] - gray[i - 1]) + Math.abs(gray[i + width] - gray[i - width]);
+                }
+                rowSum += magnitude;
+                integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+            }
+        }
+
+        return { width, height, integral };
+    }
+
+    // Mean of the map over [x0, x1) x [y0, y1)
+    function meanOver(map, x0, y0, x1, y1) {
+        x0 = Math.max(0, x0);
+        y0 = Math.max(0, y0);
+        x1 = Math.min(map.width, x1);
+        y1 = Math.min(map.height, y1);
+        const area = (x1 - x0) * (y1 - y0);
+        if (area <= 0) return 0;
+
+        const stride = map.width + 1;
+        const sum =
+            map.integral[y1 * stride + x1] -
+            map.integral[y0 * stride + x1] -
+            map.integral[y1 * stride + x0] +
+            map.integral[y0 * stride + x0];
+        return sum / area;
+    }
+
+    // Expose helpers globally
+    window.MultiScale = MultiScale;
+
+    console.log('[Multi-Scale] Module loaded');
+})(window);
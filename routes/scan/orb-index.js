@@ -0,0 +1,202 @@
+// ORB Descriptor Index
+// Multi-index hashing over the 256-bit ORB descriptors of every reference, so
+// the scanner only runs full matching + homography verification on a short
+// list of references instead of brute-forcing the whole catalog.
+//
+// Each 32-byte descriptor is split into 16 chunks of 16 bits; table t holds
+// every reference descriptor sorted by its t-th chunk. Two descriptors within
+// Hamming distance 15 share at least one chunk exactly (pigeonhole), and good
+// ORB matches usually do too, so exact chunk lookups find near neighbours.
+//
+// Built offline next to descriptors.json (utils/generate-*descriptors.html →
+// lib/orb-index.json) and loaded by cv-worker.js. Runs in windows and workers.
+
+(function (root) {
+    'use strict';
+
+    const INDEX_VERSION = 1;
+    const DESCRIPTOR_BYTES = 32; // ORB: 256 bits
+    const CHUNK_BYTES = 2; // 16-bit keys
+    const TABLES = DESCRIPTOR_BYTES / CHUNK_BYTES;
+
+    // Set bits per byte value
+    const POPCOUNT = new Uint8Array(256);
+    for (let i = 1; i < 256; i++) {
+        POPCOUNT[i] = (i & 1) + POPCOUNT[i >> 1];
+    }
+
+    const OrbIndex = {
+        // Build an index over reference descriptor sets
+        // descriptorSets: [{ rows, cols, data }] in descriptors.json order
+        build(descriptorSets) {
+            const descriptors = concatDescriptors(descriptorSets);
+            const count = descriptors.owner.length;
+            const keys = [];
+            const ids = [];
+
+            for (let t = 0; t < TABLES; t++) {
+                const tableKeys = new Uint16Array(count);
+                for (let d = 0; d < count; d++) {
+                    tableKeys[d] = chunkKey(descriptors.data, d, t);
+                }
+
+                const order = new Uint32Array(count);
+                for (let d = 0; d < count; d++) order[d] = d;
+                order.sort((a, b) => tableKeys[a] - tableKeys[b]);
+
+                const sortedKeys = new Uint16Array(count);
+                for (let i = 0; i < count; i++) sortedKeys[i] = tableKeys[order[i]];
+
+                keys.push(sortedKeys);
+                ids.push(order);
+            }
+
+            return { ...descriptors, keys, ids };
+        },
+
+        // JSON form written next to descriptors.json
+        serialize(index) {
+            return {
+                version: INDEX_VERSION,
+                generated: new Date().toISOString(),
+                descriptorBytes: DESCRIPTOR_BYTES,
+                chunkBytes: CHUNK_BYTES,
+                rows: index.rows,
+                keys: index.keys.map((array) => toBase64(array)),
+                ids: index.ids.map((array) => toBase64(array)),
+            };
+        },
+
+        // Restore a serialized index for the given descriptor sets
+        // Throws if the index was built from a different descriptors.json
+        deserialize(json, descriptorSets) {
+            if (json.version !== INDEX_VERSION || json.chunkBytes !== CHUNK_BYTES) {
+                throw new Error(`Unsupported index format (version ${json.version})`);
+            }
+
+            const descriptors = concatDescriptors(descriptorSets);
+            const stale =
+                json.rows.length !== descriptors.rows.length ||
+                json.rows.some((rows, i) => rows !== descriptors.rows[i]);
+            if (stale) {
+                throw new Error('Index does not match descriptors.json (rebuild it)');
+            }
+
+            return {
+                ...descriptors,
+                keys: json.keys.map((encoded) => new Uint16Array(fromBase64(encoded))),
+                ids: json.ids.map((encoded) => new Uint32Array(fromBase64(encoded))),
+            };
+        },
+
+        // Rank references by how many query descriptors have their nearest
+        // indexed neighbour (within maxDistance bits) in that reference
+        // Returns [{ reference, votes }] (reference = position in descriptorSets),
+        // best first, at most `size` entries
+        shortlist(index, queryData, queryRows, { size, maxDistance }) {
+            const votes = new Uint32Array(index.rows.length);
+            const seen = new Int32Array(index.owner.length).fill(-1);
+
+            for (let q = 0; q < queryRows; q++) {
+                let bestDistance = maxDistance + 1;
+                let bestId = -1;
+
+                for (let t = 0; t < TABLES; t++) {
+                    const key = chunkKey(queryData, q, t);
+                    const keys = index.keys[t];
+                    const ids = index.ids[t];
+
+                    for (let i = lowerBound(keys, key); i < keys.length && keys[i] === key; i++) {
+                        const id = ids[i];
+                        if (seen[id] === q) continue;
+                        seen[id] = q;
+
+                        const distance = hamming(queryData, q, index.data, id);
+                        if (distance < bestDistance) {
+                            bestDistance = distance;
+                            bestId = id;
+                        }
+                    }
+                }
+
+                if (bestId >= 0) votes[index.owner[bestId]]++;
+            }
+
+            const ranked = [];
+            votes.forEach((count, reference) => {
+                if (count > 0) ranked.push({ reference, votes: count });
+            });
+            ranked.sort((a, b) => b.votes - a.votes);
+            return ranked.slice(0, size);
+        },
+    };
+
+    // All reference descriptors in one buffer, with the owning reference per row
+    function concatDescriptors(descriptorSets) {
+        const rows = descriptorSets.map((set) =>
+            set && set.cols === DESCRIPTOR_BYTES ? set.rows : 0
+        );
+        const total = rows.reduce((sum, n) => sum + n, 0);
+        const data = new Uint8Array(total * DESCRIPTOR_BYTES);
+        const owner = new Uint32Array(total);
+
+        let offset = 0;
+        descriptorSets.forEach((set, reference) => {
+            if (rows[reference] === 0) return;
+            const length = rows[reference] * DESCRIPTOR_BYTES;
+            data.set(set.data.slice(0, length), offset * DESCRIPTOR_BYTES);
+            owner.fill(reference, offset, offset + rows[reference]);
+            offset += rows[reference];
+        });
+
+        return { rows, data, owner };
+    }
+
+    function chunkKey(data, row, table) {
+        const i = row * DESCRIPTOR_BYTES + table * CHUNK_BYTES;
+        return data[i] | (data[i + 1] << 8);
+    }
+
+    function hamming(a, rowA, b, rowB) {
+        const offsetA = rowA * DESCRIPTOR_BYTES;
+        const offsetB = rowB * DESCRIPTOR_BYTES;
+        let distance = 0;
+        for (let i = 0; i < DESCRIPTOR_BYTES; i++) {
+            distance += POPCOUNT[a[offsetA + i] ^ b[offsetB + i]];
+        }
+        return distance;
+    }
+
+    // First position in sorted keys whose value is >= key
+    function lowerBound(keys, key) {
+        let lo = 0;
+        let hi = keys.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (keys[mid] < key) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    function toBase64(typedArray) {
+        const bytes = new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    function fromBase64(encoded) {
+        const binary = atob(encoded);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    // Expose index globally (window or worker scope)
+    root.OrbIndex = OrbIndex;
+})(self);
@@ -0,0 +1,222 @@
+// Performance Tier
+// Picks scanner settings from measured device speed instead of the user agent:
+// a startup micro-benchmark chooses a tier, then per-frame recognition latency
+// moves it up or down. The tier is remembered per device (localStorage).
+
+(function (window) {
+    'use strict';
+
+    // Settings per tier, slowest first
+    // targetLatency: recognition time per frame (ms) the tier is sized for
+    const TIERS = {
+        low: {
+            scanInterval: 1000,
+            numFrames: 4,
+            frameDelay: 300,
+            orbFeatures: 300,
+            faceResize: { width: 480, height: 360 },
+            orbResize: { width: 960, height: 540 },
+            rectifyMaxOutput: 960,
+            detectorConfidence: 0.5,
+            targetLatency: 900,
+        },
+        medium: {
+            scanInterval: 600,
+            numFrames: 5,
+            frameDelay: 250,
+            orbFeatures: 500,
+            faceResize: { width: 640, height: 480 },
+            orbResize: { width: 1280, height: 720 },
+            rectifyMaxOutput: 1280,
+            detectorConfidence: 0.5,
+            targetLatency: 500,
+        },
+        high: {
+            scanInterval: 300,
+            numFrames: 7,
+            frameDelay: 50,
+            orbFeatures: 1000,
+            faceResize: { width: 960, height: 720 },
+            orbResize: { width: 1920, height: 1080 },
+            rectifyMaxOutput: 1920,
+            detectorConfidence: 0.3, // More detections at angles; fast devices can verify them
+            targetLatency: 300,
+        },
+    };
+    const ORDER = ['low', 'medium', 'high'];
+
+    // Benchmark time (ms, best of BENCHMARK_RUNS) at or below which a tier is chosen
+    const BENCHMARK_THRESHOLDS = { high: 8, medium: 20 };
+    const BENCHMARK_RUNS = 3;
+
+    // Runtime adjustment
+    const LATENCY_SMOOTHING = 0.2; // Weight of the newest frame in the latency average
+    const MIN_SAMPLES = 10; // Frames measured before the tier may change (again)
+    const DOWNGRADE_FACTOR = 1.5; // Step down when average latency > target * this
+    const UPGRADE_FACTOR = 0.5; // Step up when average latency < target * this
+
+    const STORAGE_KEY = 'artscan.performanceTier';
+    const STORAGE_VERSION = 1;
+    const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // Re-benchmark after 30 days
+
+    let state = null; // { tier, source, benchmarkMs }
+    let avgLatency = null;
+    let samples = 0;
+    const listeners = [];
+
+    const PerformanceTier = {
+        TIERS,
+
+        // Choose the tier: remembered for this device, else benchmarked now
+        // Returns describe()
+        init() {
+            const stored = readStored();
+            if (stored) {
+                state = { tier: stored.tier, source: 'stored', benchmarkMs: stored.benchmarkMs };
+            } else {
+                const benchmarkMs = runBenchmark();
+                state = { tier: tierForBenchmark(benchmarkMs), source: 'benchmark', benchmarkMs };
+                store();
+            }
+
+            console.log(
+                `[Performance] Tier: ${state.tier} (${state.source}, benchmark ${state.benchmarkMs}ms)`
+            );
+            return this.describe();
+        },
+
+        // Settings of the current tier
+        current() {
+            return { name: state.tier, ...TIERS[state.tier] };
+        },
+
+        // Feed one frame's recognition time (ms); may change the tier
+        recordLatency(duration) {
+            avgLatency =
+                avgLatency === null
+                    ? duration
+                    : avgLatency * (1 - LATENCY_SMOOTHING) + duration * LATENCY_SMOOTHING;
+            samples++;
+
+            if (samples < MIN_SAMPLES) return;
+
+            const target = TIERS[state.tier].targetLatency;
+            const rank = ORDER.indexOf(state.tier);
+            if (avgLatency > target * DOWNGRADE_FACTOR && rank > 0) {
+                changeTier(ORDER[rank - 1]);
+            } else if (avgLatency < target * UPGRADE_FACTOR && rank < ORDER.length - 1) {
+                changeTier(ORDER[rank + 1]);
+            }
+        },
+
+        // Call listener(settings, previousTierName) whenever the tier changes
+        onChange(listener) {
+            listeners.push(listener);
+        },
+
+        // Tier and how it was chosen (for diagnostics)
+        describe() {
+            return {
+                tier: state.tier,
+                source: state.source,
+                benchmarkMs: state.benchmarkMs,
+                avgLatency: avgLatency === null ? null : Math.round(avgLatency),
+            };
+        },
+    };
+
+    function changeTier(tier) {
+        const previous = state.tier;
+        console.log(
+            `[Performance] ${previous} → ${tier} (avg frame latency ${Math.round(avgLatency)}ms)`
+        );
+
+        state = { ...state, tier, source: 'runtime' };
+        store();
+
+        for (const listener of listeners) {
+            listener(PerformanceTier.current(), previous);
+        }
+
+        // Measure the new tier from scratch
+        avgLatency = null;
+        samples = 0;
+    }
+
+    function tierForBenchmark(benchmarkMs) {
+        if (benchmarkMs <= BENCHMARK_THRESHOLDS.high) return 'high';
+        if (benchmarkMs <= BENCHMARK_THRESHOLDS.medium) return 'medium';
+        return 'low';
+    }
+
+    // Fixed CPU workload similar to the scanner's per-pixel work: repeated 3x3
+    // box filtering of a 256x256 grayscale image. Best of several runs, so a
+    // cold JIT or a busy startup does not pick a tier that is too low.
+    function runBenchmark() {
+        const size = 256;
+        let best = Infinity;
+
+        for (let run = 0; run < BENCHMARK_RUNS; run++) {
+            const src = new Uint8Array(size * size);
+            const dst = new Uint8Array(size * size);
+            for (let i = 0; i < src.length; i++) src[i] = (i * 2654435761) >>> 24;
+
+            const startTime = performance.now();
+            for (let pass = 0; pass < 16; pass++) {
+                for (let y = 1; y < size - 1; y++) {
+                    for (let x = 1; x < size - 1; x++) {
+                        const i = y * size + x;
+                        dst[i] =
+                            (src[i - size - 1] + src[i - size] + src[i - size + 1] +
+                                src[i - 1] + src[i] + src[i + 1] +
+                                src[i + size - 1] + src[i + size] + src[i + size + 1]) / 9;
+                    }
+                }
+                src.set(dst);
+            }
+            best = Math.min(best, performance.now() - startTime);
+        }
+
+        return Math.round(best * 10) / 10;
+    }
+
+    // Remembered tier for this device, or null when missing, outdated or unreadable
+    function readStored() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (
+                !stored ||
+                stored.version !== STORAGE_VERSION ||
+                !TIERS[stored.tier] ||
+                Date.now() - stored.updatedAt > MAX_AGE_MS
+            ) {
+                return null;
+            }
+            return stored;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function store() {
+        try {
+            localStorage.setItem(
+                STORAGE_KEY,
+                JSON.stringify({
+                    version: STORAGE_VERSION,
+                    tier: state.tier,
+                    benchmarkMs: state.benchmarkMs,
+                    updatedAt: Date.now(),
+                })
+            );
+        } catch (error) {
+            // Private browsing / storage full: the tier just is not remembered
+            console.warn('[Performance] Could not store tier:', error.message);
+        }
+    }
+
+    // Expose tier selection globally
+    window.PerformanceTier = PerformanceTier;
+
+    console.log('[Performance] Module loaded');
+})(window);
@@ -0,0 +1,166 @@
+// Recognizer Registry
+// Pluggable recognition layers with a normalized result shape
+
+(function (window) {
+    'use strict';
+
+    // Registered recognizers by id
+    const recognizers = new Map();
+
+    // Weight of the newest measurement in the running cost estimate
+    const COST_SMOOTHING = 0.3;
+
+    const RecognizerRegistry = {
+        // Register a recognizer
+        // definition: {
+        //     id: unique string, also reported as the result `method`
+        //     label: human readable name for logs and the result page
+        //     isReady(): true once models / reference data are loaded
+        //     initialCost: estimated ms per frame before anything is measured
+        //     calibrate(score): maps the raw score to a match probability (0-1)
+        //     recognize(canvas, context): resolves to { candidate, score, accepted, details, alternatives } or null
+        //         context.shortlist: reference ids worth considering (Layer 0 prefilter), null = all
+        //         context.signal: AbortSignal of the scan (null = not cancellable); rejecting
+        //             with an AbortError cancels the whole recognition
+        //         context.faceTracker: face tracker for frames in full-frame coordinates
+        //             (see routes/scan/face-tracker.js), null = do not track
+        //         context.timing: { queueWait } to add time spent waiting behind other
+        //             frames to (null = not measured)
+        //         alternatives (optional): [{ candidate, score }] best candidates first, used by fusion
+        //     recognizeAll(canvas): optional, resolves to [{ box, candidate, score, accepted, details }]
+        //         for every subject in the frame (multi-subject mode)
+        // }
+        register(definition) {
+            for (const key of ['id', 'label', 'isReady', 'recognize', 'calibrate']) {
+                if (!definition[key]) {
+                    throw new Error(`[Recognizers] Missing "${key}" in recognizer definition`);
+                }
+            }
+
+            if (recognizers.has(definition.id)) {
+                console.warn(`[Recognizers] Replacing recognizer: ${definition.id}`);
+            }
+
+            recognizers.set(definition.id, {
+                initialCost: 100,
+                ...definition,
+                stats: { runs: 0, avgDuration: null },
+            });
+
+            console.log(`[Recognizers] Registered: ${definition.id}`);
+        },
+
+        // Get a recognizer by id
+        get(id) {
+            return recognizers.get(id) || null;
+        },
+
+        // List registered recognizer ids
+        list() {
+            return Array.from(recognizers.keys());
+        },
+
+        // Assemble an ordered pipeline from a list of recognizer ids
+        buildPipeline(ids) {
+            return ids
+                .map((id) => {
+                    const recognizer = recognizers.get(id);
+                    if (!recognizer) {
+                        console.warn(`[Recognizers] Unknown recognizer in pipeline: ${id}`);
+                    }
+                    return recognizer;
+                })
+                .filter(Boolean);
+        },
+
+        // Estimated cost (ms) of one run: measured average once available
+        estimateCost(recognizer) {
+            return recognizer.stats.avgDuration ?? recognizer.initialCost;
+        },
+
+        // Run a recognizer and normalize its output
+        // context: { shortlist, signal, faceTracker, timing } passed through to recognize (see register)
+        // Returns { recognizer, label, candidate, score, probability, accepted, details, alternatives, duration }
+        // or null when the recognizer found nothing (or failed); rejects when the scan was aborted
+        async run(recognizer, canvas, context = { shortlist: null, signal: null, faceTracker: null, timing: null }) {
+            const startTime = Date.now();
+            let raw = null;
+
+            try {
+                raw = await recognizer.recognize(canvas, context);
+            } catch (error) {
+                // Aborted runs say nothing about the recognizer's cost
+                if (error && error.name === 'AbortError') throw error;
+                console.error(`[Recognizers] ${recognizer.id} failed:`, error);
+            }
+
+            const duration = Date.now() - startTime;
+            updateCost(recognizer, duration);
+
+            if (!raw) return null;
+
+            return normalize(recognizer, raw, duration);
+        },
+
+        // Run a multi-subject recognizer (one that implements recognizeAll)
+        // Returns [{ box, result }] where box is {x, y, width, height} in
+        // canvas pixels and result is a normalized result as from run()
+        async runAll(recognizer, canvas) {
+            if (!recognizer.recognizeAll) {
+                console.warn(`[Recognizers] ${recognizer.id} cannot recognize multiple subjects`);
+                return [];
+            }
+
+            const startTime = Date.now();
+            let raw = [];
+
+            try {
+                raw = (await recognizer.recognizeAll(canvas)) || [];
+            } catch (error) {
+                console.error(`[Recognizers] ${recognizer.id} failed:`, error);
+            }
+
+            const duration = Date.now() - startTime;
+            updateCost(recognizer, duration);
+
+            return raw.map((subject) => ({
+                box: subject.box,
+                result: normalize(recognizer, subject, duration),
+            }));
+        },
+    };
+
+    // Normalized result shape shared by every recognizer
+    function normalize(recognizer, raw, duration) {
+        return {
+            recognizer: recognizer.id,
+            label: recognizer.label,
+            candidate: raw.candidate || null,
+            score: raw.score,
+            probability: raw.candidate ? recognizer.calibrate(raw.score) : 0,
+            accepted: !!(raw.candidate && raw.accepted),
+            details: raw.details || {},
+            alternatives: (raw.alternatives || []).map((alternative) => ({
+                candidate: alternative.candidate,
+                score: alternative.score,
+                probability: recognizer.calibrate(alternative.score),
+            })),
+            duration: duration,
+        };
+    }
+
+    // Exponential moving average of measured run time
+    function updateCost(recognizer, duration) {
+        const stats = recognizer.stats;
+        stats.runs++;
+        stats.avgDuration =
+            stats.avgDuration === null
+                ? duration
+                : stats.avgDuration * (1 - COST_SMOOTHING) + duration * COST_SMOOTHING;
+    }
+
+    // Expose registry globally
+    window.RecognizerRegistry = RecognizerRegistry;
+
+    console.log('[Recognizers] Registry loaded');
+})(window);
@@ -4,6 +4,9 @@
 (function (window) {
     'use strict';
 
+    // Collection the result was identified in ({ id, name }, null in older states)
+    let resultCollection = null;
+
     // Initialize result page
     window.initResultPage = function (matchData) {
         console.log('[Result Page] Initializing with data:', matchData);
@@ -15,8 +18,11 @@
             return;
         }
 
+        resultCollection = matchData.collection || null;
+
         // Render result content
         renderResult(matchData);
+        renderCollectionLabel();
 
         // Attach event listeners
         attachEventListeners();
@@ -37,6 +43,18 @@
             return;
         }
 
+        // Handle batch uploads (one entry per file)
+        if (match && match.batch) {
+            renderBatchResult(resultContent, match);
+            return;
+        }
+
+        // Handle multi-subject results (every identified portrait in the frame)
+        if (match && match.multi && match.subjects && match.subjects.length > 0) {
+            renderMultiSubjectResult(resultContent, match);
+            return;
+        }
+
         // Handle inconclusive results
         if (match && match.inconclusive) {
             renderInconclusiveResult(resultContent, match);
@@ -44,7 +62,7 @@
         }
 
         // Handle successful match
-        if (match && match.matches >= 20) {
+        if (match && !match.noMatch && match.name) {
             renderSuccessResult(resultContent, match);
             return;
         }
@@ -53,13 +71,27 @@
         renderNoMatchResult(resultContent, match);
     }
 
+    // Name the collection above the result (scanning again and the gallery
+    // stay in it)
+    function renderCollectionLabel() {
+        const resultContent = document.getElementById('result-content');
+        if (!resultContent || !resultCollection) return;
+
+        const label = document.createElement('p');
+        label.className = 'result-collection';
+        label.textContent = `Collection: ${resultCollection.name}`;
+        resultContent.prepend(label);
+    }
+
     // Render inconclusive result
     function renderInconclusiveResult(container, match) {
         const candidates = match.topCandidates || [];
-        const reason =
-            match.reason === 'tie'
-                ? 'Results too close to determine'
-                : 'Insufficient agreement across frames';
+        const REASONS = {
+            tie: 'Results too close to determine',
+            ambiguous: 'The best match kept changing between candidates',
+            max_frames: 'No candidate became clear enough',
+        };
+        const reason = REASONS[match.reason] || 'Insufficient agreement across frames';
 
         let candidatesHTML = '';
         if (candidates.length >= 2) {
@@ -70,7 +102,7 @@
                         ${candidates
                             .map(
                                 (c) =>
-                                    `<li>${c.name} (${c.voteCount}/${match.totalFrames} frames, avg ${c.avgMatches} matches)</li>`
+                                    `<li>${c.name} (${c.voteCount}/${match.totalFrames} frames, avg ${formatProbability(c.avgProbability)})</li>`
                             )
                             .join('')}
                     </ul>
@@ -101,17 +133,15 @@
 
     // Render successful match result
     function renderSuccessResult(container, match) {
-        const confidence = Math.min(95, Math.round((match.matches / 500) * 100 + 40));
-
         // Build stats HTML
         let statsHTML = `
             <div class="result-stat">
                 <span class="stat-label">Confidence:</span>
-                <span class="stat-value">${confidence}%</span>
+                <span class="stat-value">${formatProbability(match.probability)}</span>
             </div>
             <div class="result-stat">
                 <span class="stat-label">Best Match:</span>
-                <span class="stat-value">${match.matches} features</span>
+                <span class="stat-value">${describeEvidence(match)}</span>
             </div>
         `;
 
@@ -123,16 +153,24 @@
                     <span class="stat-value">${match.voteCount}/${match.totalFrames} frames (${match.consensus}%)</span>
                 </div>
                 <div class="result-stat">
-                    <span class="stat-label">Avg Matches:</span>
-                    <span class="stat-value">${match.avgMatches} features</span>
+                    <span class="stat-label">Avg Confidence:</span>
+                    <span class="stat-value">${formatProbability(match.avgProbability)}</span>
+                </div>
+            `;
+        }
+
+        // Warn when fusion saw the layers name different presidents
+        if (match.disagreements > 0) {
+            statsHTML += `
+                <div class="result-stat">
+                    <span class="stat-label">Layer Disagreement:</span>
+                    <span class="stat-value">${match.disagreements} frame${match.disagreements === 1 ? '' : 's'}</span>
                 </div>
             `;
         }
 
         // Add recognition method badge
-        const methodBadge = match.method === 'face-recognition'
-            ? '<span class="method-badge face-recognition">Face Recognition</span>'
-            : '<span class="method-badge orb-matching">ORB Matching</span>';
+        const methodBadge = `<span class="method-badge ${match.method}">${match.methodLabel || match.method}</span>`;
 
         container.innerHTML = `
             <div class="result-success">
@@ -167,13 +205,110 @@
         }, 0);
     }
 
+    // Render multi-subject result: one card per portrait, left to right
+    function renderMultiSubjectResult(container, match) {
+        const count = match.subjects.length;
+
+        const subjectsHTML = match.subjects
+            .map(
+                (subject) => `
+                    <div class="result-subject">
+                        <img src="${subject.url}" alt="${subject.name}">
+                        <h3>${subject.name}</h3>
+                        <p>${formatProbability(subject.probability)} confidence</p>
+                        <p>${subject.voteCount}/${subject.frames} frames agree</p>
+                    </div>
+                `
+            )
+            .join('');
+
+        container.innerHTML = `
+            <div class="result-success">
+                <div class="result-icon">✓</div>
+                <h2>${count} ${count === 1 ? 'Portrait' : 'Portraits'} Identified</h2>
+
+                <div class="result-subjects">
+                    ${subjectsHTML}
+                </div>
+
+                <button id="copy-logs-btn" class="btn btn-secondary btn-block">
+                    📋 Copy Diagnostic Logs
+                </button>
+            </div>
+        `;
+
+        // Attach copy logs handler
+        setTimeout(() => {
+            const copyBtn = document.getElementById('copy-logs-btn');
+            if (copyBtn && window.copyLogsToClipboard) {
+                copyBtn.addEventListener('click', () => window.copyLogsToClipboard(copyBtn));
+            }
+        }, 0);
+    }
+
+    // Render batch upload result: one row per uploaded file, in upload order
+    function renderBatchResult(container, match) {
+        const rowsHTML = match.results
+            .map((result) => {
+                let outcome;
+                if (result.error) {
+                    outcome = `<span class="batch-outcome error">Could not read image</span>`;
+                } else if (result.noMatch) {
+                    outcome = `<span class="batch-outcome">No match${
+                        result.bestCandidate ? ` (closest: ${result.bestCandidate})` : ''
+                    }</span>`;
+                } else {
+                    outcome = `
+                        <span class="batch-outcome success">${result.name}</span>
+                        <span class="batch-evidence">${formatProbability(result.probability)} · ${result.methodLabel || result.method}</span>
+                    `;
+                }
+
+                return `
+                    <li class="batch-item">
+                        ${result.thumbnail ? `<img src="${result.thumbnail}" alt="">` : '<div class="batch-thumb-missing">?</div>'}
+                        <div class="batch-info">
+                            <span class="batch-file">${escapeHTML(result.fileName)}</span>
+                            ${outcome}
+                        </div>
+                    </li>
+                `;
+            })
+            .join('');
+
+        container.innerHTML = `
+            <div class="result-success">
+                <div class="result-icon">📂</div>
+                <h2>${match.matched}/${match.results.length} Images Identified</h2>
+
+                <ul class="batch-results">
+                    ${rowsHTML}
+                </ul>
+
+                <button id="copy-logs-btn" class="btn btn-secondary btn-block">
+                    📋 Copy Diagnostic Logs
+                </button>
+            </div>
+        `;
+
+        // Attach copy logs handler
+        setTimeout(() => {
+            const copyBtn = document.getElementById('copy-logs-btn');
+            if (copyBtn && window.copyLogsToClipboard) {
+                copyBtn.addEventListener('click', () => window.copyLogsToClipboard(copyBtn));
+            }
+        }, 0);
+    }
+
     // Render no match result
     function renderNoMatchResult(container, match) {
-        const matchCount = match ? match.matches : 0;
-        const voteInfo =
-            match && match.voteCount
-                ? ` (${match.voteCount}/${match.totalFrames} frames agreed)`
-                : '';
+        let details =
+            match && match.bestCandidate
+                ? `Closest candidate: ${match.bestCandidate} (${formatProbability(match.probability)} confidence)`
+                : 'No candidate found';
+        if (match && match.error) {
+            details = `Could not read ${escapeHTML(match.fileName)}: ${escapeHTML(match.error)}`;
+        }
 
         container.innerHTML = `
             <div class="result-no-match">
@@ -191,18 +326,50 @@
                 </div>
 
                 <p class="result-details">
-                    Found ${matchCount} matches (need 20+)${voteInfo}
+                    ${details}
                 </p>
             </div>
         `;
     }
 
+    // File names come from the user's disk; keep them out of the markup
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    // Format a 0-1 match probability as a percentage
+    function formatProbability(probability) {
+        return `${Math.round((probability || 0) * 100)}%`;
+    }
+
+    // Describe the raw evidence behind the best frame of a match
+    function describeEvidence(match) {
+        const details = match.details || {};
+
+        if (details.layers !== undefined) {
+            const agreeing = details.layers.filter(
+                (layer) => layer.accepted && layer.candidateId === match.id
+            ).length;
+            return `${agreeing}/${details.layers.length} layers agree`;
+        }
+        if (details.distance !== undefined) {
+            return `face distance ${details.distance.toFixed(3)}`;
+        }
+        if (details.matches !== undefined) {
+            return `${details.matches} ${details.verified ? 'inliers' : 'features'}`;
+        }
+        return `score ${match.bestScore}`;
+    }
+
     // Attach event listeners
     function attachEventListeners() {
         // Back to scanner button
         const backBtn = document.getElementById('back-to-scan-btn');
         if (backBtn) {
             backBtn.addEventListener('click', () => {
+                selectResultCollection();
                 Router.navigate('/scan');
             });
         }
@@ -211,6 +378,7 @@
         const scanAgainBtn = document.getElementById('scan-again-btn');
         if (scanAgainBtn) {
             scanAgainBtn.addEventListener('click', () => {
+                selectResultCollection();
                 Router.navigate('/scan');
             });
         }
@@ -219,10 +387,17 @@
         const viewGalleryBtn = document.getElementById('view-gallery-btn');
         if (viewGalleryBtn) {
             viewGalleryBtn.addEventListener('click', () => {
+                selectResultCollection();
                 Router.navigate('/');
             });
         }
     }
 
+    // A result reached through history may be from another collection than
+    // the selected one: continue in the result's collection
+    function selectResultCollection() {
+        if (resultCollection) Collection.select(resultCollection.id);
+    }
+
     console.log('[Result Page] Controller loaded');
 })(window);
@@ -0,0 +1,166 @@
+// Subject Tracker
+// Follows several portraits across frames (multi-subject mode) and votes on
+// the identity of each one independently
+
+(function (window) {
+    'use strict';
+
+    const DEFAULTS = {
+        minIoU: 0.3, // Box overlap needed to continue a track
+        maxMisses: 3, // Frames a track survives without a detection
+        minHits: 3, // Identified detections before a track can be confirmed
+        minConsensus: 0.6, // Share of a track's identified frames that must agree
+    };
+
+    // Create a tracker for one scanning session
+    // detection: { box: {x, y, width, height}, result } where result is a
+    // normalized recognizer result (see RecognizerRegistry.run) or null when
+    // the face was not identified
+    function createSubjectTracker(options = {}) {
+        const config = { ...DEFAULTS, ...options };
+        let tracks = [];
+        let nextTrackId = 1;
+
+        return {
+            // Associate one frame's detections with existing tracks
+            update(detections) {
+                const pairs = [];
+                detections.forEach((detection, d) => {
+                    tracks.forEach((track, t) => {
+                        const overlap = iou(track.box, detection.box);
+                        if (overlap >= config.minIoU) {
+                            pairs.push({ d, t, overlap });
+                        }
+                    });
+                });
+
+                // Greedy assignment, best overlap first
+                pairs.sort((a, b) => b.overlap - a.overlap);
+                const usedDetections = new Set();
+                const usedTracks = new Set();
+
+                for (const { d, t } of pairs) {
+                    if (usedDetections.has(d) || usedTracks.has(t)) continue;
+                    usedDetections.add(d);
+                    usedTracks.add(t);
+                    observe(tracks[t], detections[d]);
+                }
+
+                tracks.forEach((track, t) => {
+                    if (!usedTracks.has(t)) track.misses++;
+                });
+
+                detections.forEach((detection, d) => {
+                    if (usedDetections.has(d)) return;
+                    const track = {
+                        id: nextTrackId++,
+                        box: detection.box,
+                        votes: new Map(),
+                        hits: 0,
+                        frames: 0,
+                        misses: 0,
+                    };
+                    observe(track, detection);
+                    tracks.push(track);
+                });
+
+                tracks = tracks.filter((track) => track.misses <= config.maxMisses);
+            },
+
+            // Current tracks with their leading identity
+            getTracks() {
+                return tracks.map((track) => summarize(track, config));
+            },
+
+            // Tracks whose identity is settled, ordered left to right
+            getConfirmed() {
+                return this.getTracks()
+                    .filter((track) => track.confirmed)
+                    .sort((a, b) => a.box.x - b.box.x);
+            },
+
+            // Tracks that are identified but not yet settled
+            getPending() {
+                return this.getTracks().filter(
+                    (track) => !track.confirmed && track.hits > 0
+                );
+            },
+
+            reset() {
+                tracks = [];
+            },
+        };
+    }
+
+    // Add a detection to a track
+    function observe(track, detection) {
+        track.box = detection.box;
+        track.frames++;
+        track.misses = 0;
+
+        const result = detection.result;
+        if (!result || !result.accepted) return;
+
+        track.hits++;
+        const key = result.candidate.id;
+        if (!track.votes.has(key)) {
+            track.votes.set(key, {
+                candidate: result.candidate,
+                count: 0,
+                totalProbability: 0,
+                maxProbability: 0,
+                method: result.recognizer,
+                methodLabel: result.label,
+            });
+        }
+
+        const vote = track.votes.get(key);
+        vote.count++;
+        vote.totalProbability += result.probability;
+        vote.maxProbability = Math.max(vote.maxProbability, result.probability);
+    }
+
+    // Leading identity of a track
+    function summarize(track, config) {
+        let leader = null;
+        for (const vote of track.votes.values()) {
+            if (!leader || vote.count > leader.count) leader = vote;
+        }
+
+        const consensus = leader ? leader.count / track.hits : 0;
+
+        return {
+            trackId: track.id,
+            box: track.box,
+            frames: track.frames,
+            hits: track.hits,
+            consensus: consensus,
+            confirmed:
+                !!leader &&
+                track.hits >= config.minHits &&
+                consensus >= config.minConsensus,
+            candidate: leader ? leader.candidate : null,
+            voteCount: leader ? leader.count : 0,
+            probability: leader ? leader.maxProbability : 0,
+            avgProbability: leader ? leader.totalProbability / leader.count : 0,
+            method: leader ? leader.method : null,
+            methodLabel: leader ? leader.methodLabel : null,
+        };
+    }
+
+    // Intersection over union of two boxes
+    function iou(a, b) {
+        const x1 = Math.max(a.x, b.x);
+        const y1 = Math.max(a.y, b.y);
+        const x2 = Math.min(a.x + a.width, b.x + b.width);
+        const y2 = Math.min(a.y + a.height, b.y + b.height);
+        const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+        const union = a.width * a.height + b.width * b.height - intersection;
+        return union > 0 ? intersection / union : 0;
+    }
+
+    // Expose factory globally
+    window.createSubjectTracker = createSubjectTracker;
+
+    console.log('[Subject Tracker] Loaded');
+})(window);
@@ -92,6 +92,7 @@ app.post('/api/logs', (req, res) => {
             session.metadata = {
                 userAgent: data.userAgent,
                 isMobile: data.isMobile,
+                performanceTier: data.performanceTier,
                 screen: data.screen,
                 startTime: timestamp || Date.now()
             };
@@ -235,11 +236,27 @@ app.delete('/api/logs', (req, res) => {
     }
 });
 
+// Training image directories (data.train) of the collections listed in
+// lib/collections.json, relative to the site root
+function getTrainDirs() {
+    const readJson = (file) => JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+    return readJson('lib/collections.json').collections
+        .map(entry => readJson(entry.manifest).data?.train)
+        .filter(Boolean);
+}
+
 // Train images list endpoint
+// ?dir=<path>: a collection's training image directory (default: train); only
+// directories named by a collection manifest can be listed
 app.get('/api/train-images', (req, res) => {
-    const trainDir = path.join(__dirname, 'train');
+    const dir = req.query.dir || 'train';
+
     try {
-        const files = fs.readdirSync(trainDir)
+        if (!getTrainDirs().includes(dir)) {
+            return res.status(400).json({ error: 'Invalid directory' });
+        }
+
+        const files = fs.readdirSync(path.join(__dirname, dir))
             .filter(file => file.endsWith('.jpg'))
             .sort();
         res.json(files);
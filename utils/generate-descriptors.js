@@ -0,0 +1,279 @@
+// Generate descriptors.json and orb-index.json from the command line
+// The committed descriptor files are built with this command. It produces the
+// same entries as utils/generate-descriptors.html and
+// generate-training-descriptors.html, without a browser: OpenCV.js (WASM) runs
+// in Node and images are decoded with jpeg-js. Feature extraction, illumination
+// and signatures use the scanner's own modules (routes/scan/*.js). Pixel values
+// can differ slightly from a browser's decoder, and EXIF orientation is not
+// applied, so the two tools' files are not byte-identical.
+//
+// Usage:
+//   node utils/generate-descriptors.js [options]
+//
+//   --collection <id>      Collection to build (default: lib/collections.json default)
+//   --feature <type>       orb | akaze | brisk (default: orb)
+//   --illumination <list>  Comma-separated stages: gray-world,gamma,clahe (default: none)
+//   --source <source>      images (reference images), train (training images)
+//                          or all (default: all)
+//   --out <file>           Descriptors file (default: the collection's data.descriptors)
+//   --index-out <file>     Index file (default: the collection's data.orbIndex)
+//   --force                Overwrite existing output files
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import jpeg from 'jpeg-js';
+import cvModule from '@techstark/opencv-js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.join(__dirname, '..');
+
+// Shared with the scanner and the browser generators (window / worker
+// scripts exposing globals on `self`)
+globalThis.self = globalThis;
+for (const script of [
+    'routes/collection.js',
+    'routes/scan/feature-types.js',
+    'routes/scan/global-signature.js',
+    'routes/scan/illumination.js',
+    'routes/scan/orb-index.js',
+]) {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), { filename: script });
+}
+
+const ILLUMINATION_STAGES = {
+    'gray-world': 'grayWorld',
+    gamma: 'gamma',
+    clahe: 'clahe',
+};
+
+const { values: options } = parseArgs({
+    options: {
+        collection: { type: 'string' },
+        feature: { type: 'string', default: 'orb' },
+        illumination: { type: 'string', default: '' },
+        source: { type: 'string', default: 'all' },
+        out: { type: 'string' },
+        'index-out': { type: 'string' },
+        force: { type: 'boolean', default: false },
+    },
+});
+
+// OpenCV.js resolves once its WASM runtime is initialized. The Emscripten
+// module is itself a thenable that resolves to itself, so its `then` is
+// removed before it is handed to a promise (otherwise it never settles)
+function loadOpenCv() {
+    return new Promise((resolve) => {
+        const ready = () => {
+            delete cvModule.then;
+            resolve(cvModule);
+        };
+        if (cvModule.Mat) {
+            ready();
+        } else {
+            cvModule.onRuntimeInitialized = ready;
+        }
+    });
+}
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+// Catalog of the requested (or default) collection, as in Collection.loadSelected
+function loadCollection(id) {
+    const registry = readJson('lib/collections.json');
+    const entry = registry.collections.find((candidate) => candidate.id === (id || registry.default));
+    if (!entry) {
+        const known = registry.collections.map((candidate) => candidate.id).join(', ');
+        throw new Error(`Unknown collection "${id}" (known: ${known})`);
+    }
+    return Collection.create(readJson(entry.manifest));
+}
+
+// Images to process as [{ subject, file, url }]; url is relative to the site root
+function listImages(collection, source) {
+    const images = [];
+
+    if (source === 'all' || source === 'images') {
+        for (const subject of collection.subjects) {
+            images.push({ subject, file: path.join(ROOT, subject.image), url: subject.image });
+        }
+    }
+
+    if (source === 'all' || source === 'train') {
+        const trainDir = collection.data.train;
+        if (!trainDir || !fs.existsSync(path.join(ROOT, trainDir))) {
+            console.warn(`⚠️  No training images for ${collection.name} (${trainDir || 'data.train not set'})`);
+        } else {
+            const files = fs.readdirSync(path.join(ROOT, trainDir))
+                .filter((file) => file.endsWith('.jpg'))
+                .sort();
+            for (const file of files) {
+                const subject = collection.byFilename(file);
+                if (!subject) {
+                    console.warn(`⚠️  Not in the collection: ${file}`);
+                    continue;
+                }
+                images.push({ subject, file: path.join(ROOT, trainDir, file), url: `${trainDir}/${file}` });
+            }
+        }
+    }
+
+    return images;
+}
+
+// RGBA pixels of a JPEG file: { width, height, data }
+function decodeImage(file) {
+    const image = jpeg.decode(fs.readFileSync(file), {
+        useTArray: true,
+        formatAsRGBA: true,
+        maxMemoryUsageInMB: 1024,
+    });
+    return { width: image.width, height: image.height, data: new Uint8ClampedArray(image.data.buffer) };
+}
+
+// Features of an image, as the browser generators extract them
+function extractFeatures(cv, image, feature, illumination) {
+    let pixels = image;
+    if (Illumination.isEnabled(illumination)) {
+        // Applied to a copy: the signature is computed on the original pixels
+        pixels = Illumination.apply({ ...image, data: new Uint8ClampedArray(image.data) }, illumination);
+    }
+
+    const src = cv.matFromImageData(pixels);
+    const gray = new cv.Mat();
+    try {
+        cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+        return FeatureTypes.extract(cv, gray, feature);
+    } finally {
+        src.delete();
+        gray.delete();
+    }
+}
+
+function serializeDescriptor(mat) {
+    if (!mat || mat.empty()) return null;
+    return {
+        rows: mat.rows,
+        cols: mat.cols,
+        type: mat.type(),
+        data: Array.from(mat.data),
+    };
+}
+
+// Keypoint positions as [x, y], one per descriptor row
+function serializeKeypoints(keypoints) {
+    const points = [];
+    for (let i = 0; i < keypoints.size(); i++) {
+        const pt = keypoints.get(i).pt;
+        points.push([Math.round(pt.x * 100) / 100, Math.round(pt.y * 100) / 100]);
+    }
+    return points;
+}
+
+// Existing output (e.g. the committed lib/ files) is only replaced with --force
+function checkWritable(relativePath) {
+    const file = path.resolve(ROOT, relativePath);
+    if (fs.existsSync(file) && !options.force) {
+        throw new Error(`${path.relative(ROOT, file)} exists (pass --force to overwrite it, or --out / --index-out)`);
+    }
+}
+
+function writeJson(relativePath, data, indent) {
+    const file = path.resolve(ROOT, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, indent));
+    console.log(`✓ Wrote ${path.relative(ROOT, file)}`);
+}
+
+async function generate() {
+    if (!['all', 'images', 'train'].includes(options.source)) {
+        throw new Error(`Unknown source: ${options.source} (all, images or train)`);
+    }
+
+    const collection = loadCollection(options.collection);
+    const feature = FeatureTypes.normalize({ type: options.feature });
+    const stages = options.illumination.split(',').filter(Boolean);
+    for (const stage of stages) {
+        if (!ILLUMINATION_STAGES[stage]) throw new Error(`Unknown illumination stage: ${stage}`);
+    }
+    const illumination = Illumination.fromToggles(
+        Object.fromEntries(stages.map((stage) => [ILLUMINATION_STAGES[stage], true]))
+    );
+
+    console.log(`Collection: ${collection.name} (${collection.subjects.length} subjects)`);
+    console.log(`Feature type: ${FeatureTypes.key(feature)}`);
+    console.log(`Illumination: ${Illumination.key(illumination)}`);
+
+    // Checked before the slow part: the index is always written with the descriptors
+    const out = options.out || collection.data.descriptors;
+    const indexOut = options['index-out'] || collection.data.orbIndex;
+    checkWritable(out);
+    if (indexOut) checkWritable(indexOut);
+
+    const images = listImages(collection, options.source);
+    if (images.length === 0) throw new Error('No images to process');
+
+    console.log('Loading OpenCV.js...');
+    const cv = await loadOpenCv();
+    console.log('✓ OpenCV.js loaded\n');
+
+    const results = [];
+    for (let i = 0; i < images.length; i++) {
+        const { subject, file, url } = images[i];
+        const progress = `[${i + 1}/${images.length}]`;
+
+        try {
+            const image = decodeImage(file);
+            const features = extractFeatures(cv, image, feature, illumination);
+            const keypointCount = features.keypoints.size();
+
+            if (keypointCount === 0) {
+                console.warn(`${progress} ⚠️  ${url}: no keypoints found, skipping`);
+            } else {
+                // Names and descriptions stay in the manifest: entries are
+                // joined to it by subject id
+                results.push({
+                    id: subject.id,
+                    url: url,
+                    width: image.width,
+                    height: image.height,
+                    feature: feature,
+                    illumination: illumination,
+                    signature: GlobalSignature.compute(image),
+                    keypoints: serializeKeypoints(features.keypoints),
+                    descriptors: serializeDescriptor(features.descriptors),
+                });
+                console.log(`${progress} ${subject.name} (${url}): ${keypointCount} keypoints`);
+            }
+
+            features.keypoints.delete();
+            features.descriptors.delete();
+        } catch (error) {
+            console.error(`${progress} ✗ Error processing ${url}: ${error.message}`);
+        }
+    }
+
+    if (results.length === 0) throw new Error('No descriptors generated');
+
+    // Descriptor index for the scanner's shortlist (see routes/scan/orb-index.js)
+    const index = OrbIndex.serialize(OrbIndex.build(results.map((item) => item.descriptors)));
+    console.log(`\n✓ Generated descriptors for ${results.length} images`);
+    console.log(`✓ Indexed ${index.rows.reduce((sum, n) => sum + n, 0)} descriptors`);
+
+    // Written together: the index refers to descriptors.json rows
+    writeJson(out, results, 2);
+    if (indexOut) {
+        writeJson(indexOut, index);
+    } else {
+        console.warn('⚠️  No index written (data.orbIndex not set): the scanner builds one when loading');
+    }
+}
+
+generate().catch((error) => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+});
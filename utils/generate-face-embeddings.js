@@ -0,0 +1,247 @@
+// Generate face-embeddings.json from the command line
+// The committed embeddings file is built with this command. It produces the
+// same entries as utils/generate-face-embeddings.html, without a browser:
+// face-api.js runs on the tfjs CPU backend with the weights in lib/face-api,
+// and images are decoded with jpeg-js. Illumination uses the scanner's own
+// module (routes/scan/illumination.js).
+//
+// Usage:
+//   node utils/generate-face-embeddings.js [options]
+//
+//   --collection <id>      Collection to build (default: lib/collections.json default)
+//   --illumination <list>  Comma-separated stages: gray-world,gamma,clahe (default: none)
+//   --models <dir>         face-api.js weights (default: lib/face-api)
+//   --out <file>           Embeddings file (default: the collection's data.faceEmbeddings)
+//   --force                Overwrite an existing output file
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import jpeg from 'jpeg-js';
+import faceapi from 'face-api.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.join(__dirname, '..');
+
+// Shared with the scanner and the browser generator (window / worker
+// scripts exposing globals on `self`)
+globalThis.self = globalThis;
+for (const script of [
+    'routes/collection.js',
+    'routes/scan/illumination.js',
+]) {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), { filename: script });
+}
+
+const ILLUMINATION_STAGES = {
+    'gray-world': 'grayWorld',
+    gamma: 'gamma',
+    clahe: 'clahe',
+};
+
+const { values: options } = parseArgs({
+    options: {
+        collection: { type: 'string' },
+        illumination: { type: 'string', default: '' },
+        models: { type: 'string', default: 'lib/face-api' },
+        out: { type: 'string' },
+        force: { type: 'boolean', default: false },
+    },
+});
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+// Catalog of the requested (or default) collection, as in Collection.loadSelected
+function loadCollection(id) {
+    const registry = readJson('lib/collections.json');
+    const entry = registry.collections.find((candidate) => candidate.id === (id || registry.default));
+    if (!entry) {
+        const known = registry.collections.map((candidate) => candidate.id).join(', ');
+        throw new Error(`Unknown collection "${id}" (known: ${known})`);
+    }
+    return Collection.create(readJson(entry.manifest));
+}
+
+// Sample images per subject id: the catalog portrait plus any augmented
+// versions in the collection's training folder. Paths are relative to the
+// site root
+function getSamplePaths(collection) {
+    const samplePaths = new Map(collection.subjects.map((subject) => [subject.id, [subject.image]]));
+    const trainDir = collection.data.train;
+
+    if (!trainDir || !fs.existsSync(path.join(ROOT, trainDir))) {
+        console.warn(`⚠️  No training images for ${collection.name}, using catalog portraits only`);
+        return samplePaths;
+    }
+
+    const files = fs.readdirSync(path.join(ROOT, trainDir))
+        .filter((file) => file.endsWith('.jpg'))
+        .sort();
+    for (const file of files) {
+        const subject = collection.byFilename(file);
+        if (subject) {
+            samplePaths.get(subject.id).push(`${trainDir}/${file}`);
+        } else {
+            console.warn(`⚠️  Not in the collection: ${file}`);
+        }
+    }
+
+    return samplePaths;
+}
+
+// RGBA pixels of a JPEG file: { width, height, data }
+function decodeImage(file) {
+    const image = jpeg.decode(fs.readFileSync(file), {
+        useTArray: true,
+        formatAsRGBA: true,
+        maxMemoryUsageInMB: 1024,
+    });
+    return { width: image.width, height: image.height, data: new Uint8ClampedArray(image.data.buffer) };
+}
+
+// face-api.js input: an RGB [height, width, 3] tensor (the caller disposes it)
+function toTensor(image) {
+    const rgb = new Int32Array(image.width * image.height * 3);
+    for (let i = 0, j = 0; i < image.data.length; i += 4, j += 3) {
+        rgb[j] = image.data[i];
+        rgb[j + 1] = image.data[i + 1];
+        rgb[j + 2] = image.data[i + 2];
+    }
+    return faceapi.tf.tensor3d(rgb, [image.height, image.width, 3], 'int32');
+}
+
+// 128D descriptor of the face in an image, or null when none is detected
+async function computeDescriptor(file, illumination) {
+    let image = decodeImage(file);
+    if (Illumination.isEnabled(illumination)) {
+        image = Illumination.apply(image, illumination);
+    }
+
+    const input = toTensor(image);
+    try {
+        const detection = await faceapi
+            .detectSingleFace(input)
+            .withFaceLandmarks()
+            .withFaceDescriptor();
+        return detection ? Array.from(detection.descriptor) : null; // Float32Array → Array
+    } finally {
+        input.dispose();
+    }
+}
+
+function writeJson(relativePath, data, indent) {
+    const file = path.resolve(ROOT, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, indent));
+    console.log(`✓ Wrote ${path.relative(ROOT, file)}`);
+}
+
+async function generate() {
+    const collection = loadCollection(options.collection);
+    const out = options.out || collection.data.faceEmbeddings;
+    if (!out) {
+        throw new Error(`${collection.name} has no face gallery (data.faceEmbeddings is null); pass --out to write one anyway`);
+    }
+    // Existing output (e.g. the committed lib/ file) is only replaced with --force
+    if (fs.existsSync(path.resolve(ROOT, out)) && !options.force) {
+        throw new Error(`${out} exists (pass --force to overwrite it, or --out)`);
+    }
+
+    const stages = options.illumination.split(',').filter(Boolean);
+    for (const stage of stages) {
+        if (!ILLUMINATION_STAGES[stage]) throw new Error(`Unknown illumination stage: ${stage}`);
+    }
+    const illumination = Illumination.fromToggles(
+        Object.fromEntries(stages.map((stage) => [ILLUMINATION_STAGES[stage], true]))
+    );
+
+    console.log(`Collection: ${collection.name} (${collection.subjects.length} subjects)`);
+    console.log(`Illumination: ${Illumination.key(illumination)}`);
+
+    // No native bindings: tfjs-core's CPU backend runs everywhere Node does
+    await faceapi.tf.setBackend('cpu');
+    await faceapi.tf.ready();
+
+    // Same models as the browser generator: SSD MobileNetV1 detection,
+    // 68-point landmarks and the ResNet-34 recognition net
+    const modelDir = path.resolve(ROOT, options.models);
+    console.log(`Loading face-api.js models from ${path.relative(ROOT, modelDir)}...`);
+    await faceapi.nets.ssdMobilenetv1.loadFromDisk(modelDir);
+    await faceapi.nets.faceLandmark68Net.loadFromDisk(modelDir);
+    await faceapi.nets.faceRecognitionNet.loadFromDisk(modelDir);
+    console.log('✓ Models loaded\n');
+
+    const embeddings = [];
+    const outliers = [];
+    const samplePaths = getSamplePaths(collection);
+    let totalSamples = 0;
+
+    for (let i = 0; i < collection.subjects.length; i++) {
+        const subject = collection.subjects[i];
+        const paths = samplePaths.get(subject.id);
+        const progress = `[${i + 1}/${collection.subjects.length}]`;
+        const descriptors = [];
+        const sources = [];
+        const failures = [];
+
+        for (const samplePath of paths) {
+            try {
+                const descriptor = await computeDescriptor(path.join(ROOT, samplePath), illumination);
+                if (descriptor) {
+                    descriptors.push(descriptor);
+                    sources.push(samplePath);
+                } else {
+                    failures.push(`${samplePath}: no face detected`);
+                }
+            } catch (error) {
+                failures.push(`${samplePath}: ${error.message}`);
+            }
+        }
+
+        if (descriptors.length > 0) {
+            embeddings.push({
+                id: subject.id,
+                url: subject.image,
+                descriptors: descriptors,
+                sources: sources,
+            });
+            totalSamples += descriptors.length;
+            console.log(`${progress} ✓ ${subject.name}: ${descriptors.length}/${paths.length} samples with faces`);
+        } else {
+            outliers.push({
+                id: subject.id,
+                url: subject.image,
+                reason: `No face detected in ${paths.length} samples - will use ORB fallback`,
+                failures: failures,
+            });
+            console.warn(`${progress} ⚠️  ${subject.name}: no face detected (outlier)`);
+        }
+        failures.forEach((reason) => console.warn(`    ⚠️  ${reason}`));
+    }
+
+    console.log(`\n✓ ${embeddings.length} subjects with face embeddings (${totalSamples} samples), ${outliers.length} outliers (will use ORB)`);
+
+    writeJson(out, {
+        version: '2.0',
+        model: 'face-api.js ResNet-34 (128D descriptors)',
+        generated: new Date().toISOString(),
+        generator: `utils/generate-face-embeddings.js (tfjs ${faceapi.tf.getBackend()} backend)`,
+        collection: collection.id,
+        totalPresidents: collection.subjects.length,
+        withFaceEmbeddings: embeddings.length,
+        totalSamples: totalSamples,
+        illumination: illumination,
+        outliersCount: outliers.length,
+        embeddings: embeddings,
+        outliersList: outliers,
+    }, 2);
+}
+
+generate().catch((error) => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+});